@@ -0,0 +1,328 @@
+/* ═══════════════════════════════════════════
+   ANALYSIS — Prime vs continuation statistics
+   Summarizes each segment of a loaded piece
+   (pitch classes, key, density, dynamics,
+   intervals, inter-onset timing) and scores how
+   far the continuation drifts from its prime.
+   Also labels chords per beat and key changes
+   for the piano roll's harmony lane.
+   ═══════════════════════════════════════════ */
+
+const PITCH_CLASS_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Krumhansl–Kessler probe-tone profiles, tonic first
+const MAJOR_KEY_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_KEY_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+const VELOCITY_BINS = 8;
+const CHORD_TOLERANCE = 0.03; // onsets closer than this (s) count as one attack
+
+// How much each statistic contributes to the divergence score
+const DIVERGENCE_WEIGHTS = {
+  pitchClasses: 0.3,
+  key: 0.1,
+  velocity: 0.15,
+  density: 0.15,
+  interval: 0.15,
+  ioi: 0.15,
+};
+
+/* ── Whole piece ──
+   notes: [{ midi, time, duration, velocity, source }] as returned by
+   MidiPlayer.loadTrack(). Resolves the two segments and a divergence
+   in 0–1, where 0 means the continuation matches the prime on every
+   measure. */
+
+function analyzeNotes(notes) {
+  const prime = segmentStats(notes.filter(n => n.source === 'original'));
+  const continuation = segmentStats(notes.filter(n => n.source === 'continuation'));
+  const parts = divergenceParts(prime, continuation);
+  const divergence = parts
+    ? Object.keys(DIVERGENCE_WEIGHTS).reduce((sum, k) => sum + DIVERGENCE_WEIGHTS[k] * parts[k], 0)
+    : null;
+  return { prime, continuation, parts, divergence };
+}
+
+/* ── One segment ──
+   Pitch classes are weighted by duration, so held tones count for more
+   than passing ones. Intervals follow the top voice from attack to
+   attack. */
+
+function segmentStats(notes) {
+  if (notes.length === 0) return null;
+
+  const pitchClasses = new Array(12).fill(0);
+  const velocity = new Array(VELOCITY_BINS).fill(0);
+  let start = Infinity;
+  let end = 0;
+  let velocitySum = 0;
+  for (const n of notes) {
+    pitchClasses[n.midi % 12] += n.duration;
+    velocity[Math.min(VELOCITY_BINS - 1, Math.floor(n.velocity * VELOCITY_BINS))]++;
+    velocitySum += n.velocity;
+    start = Math.min(start, n.time);
+    end = Math.max(end, n.time + n.duration);
+  }
+  const meanVelocity = velocitySum / notes.length;
+  const velocityVariance = notes.reduce((s, n) => s + (n.velocity - meanVelocity) ** 2, 0) / notes.length;
+
+  const attacks = groupAttacks(notes);
+  const iois = [];
+  const intervals = [];
+  for (let i = 1; i < attacks.length; i++) {
+    iois.push(attacks[i].time - attacks[i - 1].time);
+    intervals.push(Math.abs(attacks[i].top - attacks[i - 1].top));
+  }
+
+  const pcHistogram = normalize(pitchClasses);
+  return {
+    count: notes.length,
+    duration: end - start,
+    pitchClasses: pcHistogram,
+    key: estimateKey(pcHistogram),
+    density: notes.length / Math.max(end - start, 1e-3),
+    velocity: normalize(velocity),
+    meanVelocity,
+    velocitySpread: Math.sqrt(velocityVariance),
+    meanInterval: mean(intervals),
+    meanIoi: mean(iois),
+  };
+}
+
+// Onsets within CHORD_TOLERANCE merge into one attack: { time, top }
+function groupAttacks(notes) {
+  const sorted = notes.slice().sort((a, b) => a.time - b.time);
+  const attacks = [];
+  for (const n of sorted) {
+    const last = attacks[attacks.length - 1];
+    if (last && n.time - last.time < CHORD_TOLERANCE) {
+      last.top = Math.max(last.top, n.midi);
+    } else {
+      attacks.push({ time: n.time, top: n.midi });
+    }
+  }
+  return attacks;
+}
+
+/* ── Key estimation ──
+   Krumhansl–Schmuckler: correlate the pitch-class histogram with the
+   major and minor profiles rotated to every tonic and keep the best. */
+
+function estimateKey(histogram) {
+  let best = null;
+  for (let tonic = 0; tonic < 12; tonic++) {
+    for (const [mode, profile] of [['major', MAJOR_KEY_PROFILE], ['minor', MINOR_KEY_PROFILE]]) {
+      const rotated = profile.map((_, pc) => profile[(pc - tonic + 12) % 12]);
+      const r = correlation(histogram, rotated);
+      if (!best || r > best.correlation) best = { tonic, mode, correlation: r };
+    }
+  }
+  return { ...best, name: `${PITCH_CLASS_NAMES[best.tonic]} ${best.mode}` };
+}
+
+/* ── Divergence ──
+   Each part is in 0–1. Distributions use the Jensen–Shannon divergence
+   (base 2); scalar measures use 1 − smaller/larger, so halving or
+   doubling the density costs the same. Keys score by distance on the
+   circle of fifths, with a small step for a change of mode. */
+
+function divergenceParts(prime, continuation) {
+  if (!prime || !continuation) return null;
+  return {
+    pitchClasses: jensenShannon(prime.pitchClasses, continuation.pitchClasses),
+    key: keyDistance(prime.key, continuation.key),
+    velocity: jensenShannon(prime.velocity, continuation.velocity),
+    density: ratioDistance(prime.density, continuation.density),
+    interval: ratioDistance(prime.meanInterval, continuation.meanInterval),
+    ioi: ratioDistance(prime.meanIoi, continuation.meanIoi),
+  };
+}
+
+function jensenShannon(p, q) {
+  const kl = (a, m) => a.reduce((s, ai, i) => (ai > 0 ? s + ai * Math.log2(ai / m[i]) : s), 0);
+  const m = p.map((pi, i) => (pi + q[i]) / 2);
+  return Math.min(1, Math.max(0, (kl(p, m) + kl(q, m)) / 2));
+}
+
+function ratioDistance(a, b) {
+  if (a === b) return 0;
+  if (a <= 0 || b <= 0) return 1;
+  return 1 - Math.min(a, b) / Math.max(a, b);
+}
+
+function keyDistance(a, b) {
+  // Relative keys share a signature, so compare major-equivalent tonics
+  const majorTonic = (k) => (k.mode === 'minor' ? (k.tonic + 3) % 12 : k.tonic);
+  const fifths = (majorTonic(a) * 7) % 12;
+  const steps = Math.abs(fifths - (majorTonic(b) * 7) % 12);
+  const circle = Math.min(steps, 12 - steps) / 6;
+  const modeChange = a.mode === b.mode ? 0 : 0.1;
+  return Math.min(1, circle * 0.9 + modeChange);
+}
+
+/* ── Harmony over time ──
+   For the piano roll's chord lane. Chords are matched beat by beat
+   against triad and seventh templates, each pitch class weighted by how
+   long it sounds within the beat (pedalled length where known). A new
+   chord has to fit clearly better than the one before it, so passing
+   tones don't flicker the label. Keys come from a window of a few bars
+   and only change once the new key has held for a while. */
+
+const CHORD_QUALITIES = [
+  { suffix: '', intervals: [0, 4, 7] },
+  { suffix: 'm', intervals: [0, 3, 7] },
+  { suffix: 'dim', intervals: [0, 3, 6] },
+  { suffix: 'aug', intervals: [0, 4, 8] },
+  { suffix: '7', intervals: [0, 4, 7, 10] },
+  { suffix: 'maj7', intervals: [0, 4, 7, 11] },
+  { suffix: 'm7', intervals: [0, 3, 7, 10] },
+];
+const CHORD_MIN_MATCH = 0.6; // cosine to the template; a lone note scores 0.58
+const CHORD_HOLD_MARGIN = 0.05;
+const CHORD_BASS_BONUS = 0.1; // root in the bass breaks ties between relatives
+const KEY_WINDOW_BARS = 4;
+const KEY_HOLD_BARS = 2;
+
+// beats: [{ time, isBar }] as PianoRoll lays out its grid. Resolves
+// spans of one chord, [{ start, end, name }]; unlabelled beats are gaps.
+function estimateChords(notes, beats, duration) {
+  const spans = timeSpans(beats.map(b => b.time), duration);
+  const weights = pitchWeights(notes, spans);
+  const chords = [];
+  let prev = null;
+  spans.forEach((span, i) => {
+    const { pcs, bass } = weights[i];
+    let chord = null;
+    if (pcs.some(v => v > 0)) {
+      const best = bestChord(pcs, bass);
+      const held = prev ? chordFit(pcs, bass, prev) : null;
+      if (held && held.match >= CHORD_MIN_MATCH && held.score >= best.score - CHORD_HOLD_MARGIN) chord = prev;
+      else if (best.match >= CHORD_MIN_MATCH) chord = best.chord;
+    }
+    prev = chord;
+    if (!chord) return;
+
+    const last = chords[chords.length - 1];
+    if (last && last.name === chord.name && last.end === span.start) last.end = span.end;
+    else chords.push({ start: span.start, end: span.end, name: chord.name });
+  });
+  return chords;
+}
+
+// The key at the start of the piece, then each change: [{ time, key }]
+function detectKeyChanges(notes, beats, duration) {
+  const barTimes = beats.filter(b => b.isBar).map(b => b.time);
+  if (barTimes.length === 0 || barTimes[0] > 0) barTimes.unshift(0);
+  const bars = timeSpans(barTimes, duration);
+  const barWeights = pitchWeights(notes, bars).map(w => w.pcs);
+
+  // Each bar's window starts a bar early so changes aren't anticipated,
+  // and slides back at the end rather than shrink to a cadence
+  const keys = bars.map((_, i) => {
+    const pcs = new Array(12).fill(0);
+    const first = Math.max(0, Math.min(i - 1, bars.length - KEY_WINDOW_BARS));
+    const last = Math.min(bars.length, first + KEY_WINDOW_BARS);
+    for (let j = first; j < last; j++) barWeights[j].forEach((v, pc) => { pcs[pc] += v; });
+    return pcs.some(v => v > 0) ? estimateKey(normalize(pcs)) : null;
+  });
+
+  const changes = [];
+  let current = null;
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i];
+    if (!key || (current && sameKey(key, current))) continue;
+    let held = 1;
+    while (held < KEY_HOLD_BARS && keys[i + held] && sameKey(keys[i + held], key)) held++;
+    if (current && held < KEY_HOLD_BARS) continue;
+    current = key;
+    changes.push({ time: bars[i].start, key });
+  }
+  return changes;
+}
+
+function bestChord(pcs, bass) {
+  let best = null;
+  for (let root = 0; root < 12; root++) {
+    for (const quality of CHORD_QUALITIES) {
+      const chord = { root, intervals: quality.intervals, name: PITCH_CLASS_NAMES[root] + quality.suffix };
+      const fit = chordFit(pcs, bass, chord);
+      if (!best || fit.score > best.score) best = { chord, ...fit };
+    }
+  }
+  return best;
+}
+
+// match: cosine between the weights and the chord's tones; score adds
+// the bass bonus and is only used to rank candidates
+function chordFit(pcs, bass, chord) {
+  let dot = 0;
+  let norm = 0;
+  for (let pc = 0; pc < 12; pc++) norm += pcs[pc] * pcs[pc];
+  for (const interval of chord.intervals) dot += pcs[(chord.root + interval) % 12];
+  const match = norm > 0 ? dot / (Math.sqrt(norm) * Math.sqrt(chord.intervals.length)) : 0;
+  const bonus = bass !== null && bass % 12 === chord.root ? CHORD_BASS_BONUS : 0;
+  return { match, score: match + bonus };
+}
+
+function sameKey(a, b) {
+  return a.tonic === b.tonic && a.mode === b.mode;
+}
+
+// Consecutive [start, end) spans from sorted start times
+function timeSpans(times, duration) {
+  const spans = [];
+  times.forEach((start, i) => {
+    const end = i + 1 < times.length ? times[i + 1] : duration;
+    if (end > start) spans.push({ start, end });
+  });
+  return spans;
+}
+
+// Seconds each pitch class sounds within each span, and the lowest note
+// held through at least a quarter of it
+function pitchWeights(notes, spans) {
+  const weights = spans.map(() => ({ pcs: new Array(12).fill(0), bass: null }));
+  for (const n of notes) {
+    const end = n.time + (n.soundDuration || n.duration);
+    let lo = 0;
+    let hi = spans.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (spans[mid].end <= n.time) lo = mid + 1;
+      else hi = mid;
+    }
+    for (let i = lo; i < spans.length && spans[i].start < end; i++) {
+      const overlap = Math.min(end, spans[i].end) - Math.max(n.time, spans[i].start);
+      if (overlap <= 0) continue;
+      const w = weights[i];
+      w.pcs[n.midi % 12] += overlap;
+      if (overlap >= (spans[i].end - spans[i].start) / 4 && (w.bass === null || n.midi < w.bass)) w.bass = n.midi;
+    }
+  }
+  return weights;
+}
+
+/* ── Helpers ── */
+
+function normalize(values) {
+  const total = values.reduce((s, v) => s + v, 0);
+  return total > 0 ? values.map(v => v / total) : values.map(() => 0);
+}
+
+function mean(values) {
+  return values.length ? values.reduce((s, v) => s + v, 0) / values.length : 0;
+}
+
+function correlation(x, y) {
+  const mx = mean(x);
+  const my = mean(y);
+  let num = 0;
+  let dx = 0;
+  let dy = 0;
+  for (let i = 0; i < x.length; i++) {
+    num += (x[i] - mx) * (y[i] - my);
+    dx += (x[i] - mx) ** 2;
+    dy += (y[i] - my) ** 2;
+  }
+  return dx && dy ? num / Math.sqrt(dx * dy) : 0;
+}
@@ -1,133 +1,45 @@
 /* ═══════════════════════════════════════════
    APP — Main initialization & wiring
-   Track manifest, playlist rendering,
+   Playlist rendering (from tracks.json),
    event binding, coordination.
    ═══════════════════════════════════════════ */
 
-const TRACKS = [
-  {
-    id: 'brahms-intermezzo',
-    composer: 'Brahms',
-    title: 'Intermezzo Op. 118 No. 2',
-    prime: 'public_gens/brahms-intermezzo-op118-no2_clean_prime.mid',
-    continuations: [
-      'public_gens/brahms-intermezzo-op118-no2_clean_1.mid',
-      'public_gens/brahms-intermezzo-op118-no2_clean_3.mid',
-    ],
-  },
-  {
-    id: 'mozart-viennese',
-    composer: 'Mozart',
-    title: 'Viennese Sonatina K. 439b, Mvt. 2',
-    prime: 'public_gens/Viennese Sonatinas K439b n6 2mov_clean_prime.mid',
-    continuations: [
-      'public_gens/Viennese Sonatinas K439b n6 2mov_clean_0.mid',
-      'public_gens/Viennese Sonatinas K439b n6 2mov_clean_1.mid',
-    ],
-  },
-  {
-    id: 'satie-gnossienne',
-    composer: 'Satie',
-    title: 'Gnossienne No. 1',
-    prime: 'public_gens/Gnossienne1_clean_prime.mid',
-    continuations: [
-      'public_gens/Gnossienne1_clean_0.mid',
-      'public_gens/Gnossienne1_clean_2.mid',
-    ],
-  },
-  {
-    id: 'clementi-opus36',
-    composer: 'Clementi',
-    title: 'Sonatina Op. 36 No. 1, Mvt. 3',
-    prime: 'public_gens/clementi_opus36_1_3_clean_prime.mid',
-    continuations: [
-      'public_gens/clementi_opus36_1_3_clean_0.mid',
-      'public_gens/clementi_opus36_1_3_clean_2.mid',
-    ],
-  },
-  {
-    id: 'beethoven-opus22',
-    composer: 'Beethoven',
-    title: 'Piano Sonata Op. 22 No. 1',
-    prime: 'public_gens/beethoven_opus22_1_clean_prime.mid',
-    continuations: [
-      'public_gens/beethoven_opus22_1_clean_0.mid',
-      'public_gens/beethoven_opus22_1_clean_3.mid',
-    ],
-  },
-  {
-    id: 'korobeiniki',
-    composer: 'Traditional',
-    title: 'Korobeiniki',
-    prime: 'public_gens/korobeiniki_clean_prime.mid',
-    continuations: [
-      'public_gens/korobeiniki_clean_0.mid',
-      'public_gens/korobeiniki_clean_1.mid',
-    ],
-  },
-  {
-    id: 'mendelssohn-lieder',
-    composer: 'Mendelssohn',
-    title: 'Lieder ohne Worte, Book 1',
-    prime: "public_gens/'Lieder ohne Worte' Book 1 op1 n1_clean_prime.mid",
-    continuations: [
-      "public_gens/'Lieder ohne Worte' Book 1 op1 n1_clean_0.mid",
-      "public_gens/'Lieder ohne Worte' Book 1 op1 n1_clean_2.mid",
-    ],
-  },
-  {
-    id: 'schubert-d894',
-    composer: 'Schubert',
-    title: 'Piano Sonata D. 894, Menuetto',
-    prime: 'public_gens/Piano Sonata in Sonata in G, No.3, D894 - Menuetto_ Allegro moderato_clean_prime.mid',
-    continuations: [
-      'public_gens/Piano Sonata in Sonata in G, No.3, D894 - Menuetto_ Allegro moderato_clean_0.mid',
-      'public_gens/Piano Sonata in Sonata in G, No.3, D894 - Menuetto_ Allegro moderato_clean_1.mid',
-    ],
-  },
-  {
-    id: 'chopin-etude',
-    composer: 'Chopin',
-    title: 'Etude Op. 10 No. 4',
-    prime: 'public_gens/chopin-etude-op10-no4_clean_prime.mid',
-    continuations: [
-      'public_gens/chopin-etude-op10-no4_clean_3.mid',
-      'public_gens/chopin-etude-op10-no4_clean_0.mid',
-    ],
-  },
-  {
-    id: 'diabelli-sonatina',
-    composer: 'Diabelli',
-    title: 'Sonatina Op. 151 No. 1, Mvt. 3',
-    prime: 'public_gens/Diabelli Sonatina op151 n1 3mov_clean_prime.mid',
-    continuations: [
-      'public_gens/Diabelli Sonatina op151 n1 3mov_clean_2.mid',
-      'public_gens/Diabelli Sonatina op151 n1 3mov_clean_3.mid',
-    ],
-  },
-  {
-    id: 'mozart-k545',
-    composer: 'Mozart',
-    title: 'Piano Sonata K. 545',
-    prime: 'public_gens/K545 Piano Sonata_clean_prime.mid',
-    continuations: [
-      'public_gens/K545 Piano Sonata_clean_0.mid',
-      'public_gens/K545 Piano Sonata_clean_1.mid',
-    ],
-  },
-];
-
 // ── State ──
 
 let player;
 let pianoRoll;
+let compareRoll;
+let keyboardView;
+let notationView;
+let recorder;
+let tracks = [];
+let missingFiles = new Map(); // trackId → [paths that 404]
 let currentTrackId = null;
-let currentVariant = 0; // 0 = first continuation, 1 = second continuation
+const selectedVariants = new Map(); // trackId → continuation index
+const compareVariants = new Map();  // trackId → continuation index shown as B
+let compareMode = false;
+let blindMode = false;
+let recordMode = false;
+let recordedTake = null; // { notes as played, bpm, beatsPerBar, midi as quantized }
+let generateBarOpen = false;
+let generationController = null; // AbortController while a request is in flight
+let analysisOpen = false;
+let mixerOpen = false;
+let currentAnalysis = null; // analyzeNotes() of the loaded variant
+const variantScores = new Map(); // trackId → divergence per continuation (null if unreadable)
+const rankingJobs = new Map(); // trackId → promise of the rankVariants() run in flight
+let recordedTrackCounter = 0;
+let restoringDeepLink = false;
+let linkedSecond = -1; // playhead second last written to the URL
+let exportInProgress = false;
+let listeningTest = null;
+let loopRegion = null; // { start, end } in seconds, kept across variants of a track
 
 // ── DOM refs ──
 
 const $playlistTracks = document.getElementById('playlist-tracks');
 const $pianoRollEmpty = document.getElementById('piano-roll-empty');
+const $pianoRollEmptyText = $pianoRollEmpty.querySelector('p');
 const $loadingOverlay = document.getElementById('loading-overlay');
 const $btnPlay = document.getElementById('btn-play');
 const $btnStop = document.getElementById('btn-stop');
@@ -138,7 +50,71 @@ const $timeTotal = document.getElementById('time-total');
 const $progressFill = document.getElementById('progress-bar-fill');
 const $progressContainer = document.getElementById('progress-bar-container');
 const $nowPlaying = document.getElementById('now-playing');
-const $variantBtns = document.querySelectorAll('.variant-btn');
+const $playerNotice = document.getElementById('player-notice');
+const $localFileInput = document.getElementById('local-file-input');
+const $pianoRollWrapper = document.getElementById('piano-roll-wrapper');
+const $playlist = document.getElementById('playlist');
+const $btnBlind = document.getElementById('btn-blind');
+const $testBar = document.getElementById('test-bar');
+const $btnGenerate = document.getElementById('btn-generate');
+const $generateBar = document.getElementById('generate-bar');
+const $generateEndpoint = document.getElementById('generate-endpoint');
+const $generateTemperature = document.getElementById('generate-temperature');
+const $generateTopP = document.getElementById('generate-top-p');
+const $generateLength = document.getElementById('generate-length');
+const $generateSeed = document.getElementById('generate-seed');
+const $generateCount = document.getElementById('generate-count');
+const $generateStatus = document.getElementById('generate-status');
+const $generateRun = document.getElementById('generate-run');
+const $generateCancel = document.getElementById('generate-cancel');
+const $btnRecord = document.getElementById('btn-record');
+const $recordBar = document.getElementById('record-bar');
+const $recordToggle = document.getElementById('record-toggle');
+const $recordStatus = document.getElementById('record-status');
+const $recordBpm = document.getElementById('record-bpm');
+const $recordCountIn = document.getElementById('record-count-in');
+const $recordMetronome = document.getElementById('record-metronome');
+const $recordQuantize = document.getElementById('record-quantize');
+const $recordSave = document.getElementById('record-save');
+const $testProgress = document.getElementById('test-progress');
+const $testRatingA = document.getElementById('test-rating-a');
+const $testRatingB = document.getElementById('test-rating-b');
+const $testNext = document.getElementById('test-next');
+const $testParticipant = document.getElementById('test-participant');
+const $testExportJson = document.getElementById('test-export-json');
+const $testExportCsv = document.getElementById('test-export-csv');
+const $instrumentSelect = document.getElementById('instrument-select');
+const $outputSelect = document.getElementById('output-select');
+const $speedSelect = document.getElementById('speed-select');
+const $btnExport = document.getElementById('btn-export');
+const $exportMenuList = document.getElementById('export-menu-list');
+const $exportGrid = document.getElementById('export-grid');
+const $loadingText = $loadingOverlay.querySelector('p');
+const $loadingProgress = document.getElementById('loading-progress');
+const $loadingProgressFill = document.getElementById('loading-progress-fill');
+const $btnCompare = document.getElementById('btn-compare');
+const $btnLoop = document.getElementById('btn-loop');
+const $btnFollow = document.getElementById('btn-follow');
+const $btnShare = document.getElementById('btn-share');
+const $btnKeyboard = document.getElementById('btn-keyboard');
+const $btnHarmony = document.getElementById('btn-harmony');
+const $btnNotation = document.getElementById('btn-notation');
+const $btnAnalysis = document.getElementById('btn-analysis');
+const $analysisPanel = document.getElementById('analysis-panel');
+const $analysisBody = document.getElementById('analysis-body');
+const $btnMixer = document.getElementById('btn-mixer');
+const $mixerPanel = document.getElementById('mixer-panel');
+const $mixerBody = document.getElementById('mixer-body');
+const $keyboardWrap = document.getElementById('keyboard-view-wrap');
+const $paneA = document.getElementById('piano-roll-pane');
+const $paneB = document.getElementById('piano-roll-pane-b');
+const $paneLabelA = document.getElementById('pane-label-a');
+const $paneLabelB = document.getElementById('pane-label-b');
+const $compareBar = document.getElementById('compare-bar');
+const $compareSelect = document.getElementById('compare-select');
+const $compareCrossfade = document.getElementById('compare-crossfade');
+const $variantToggle = document.getElementById('variant-toggle');
+const $variantButtons = document.getElementById('variant-buttons');
 
 // ── Helpers ──
 
@@ -149,6 +125,24 @@ function formatTime(secs) {
   return `${m}:${s.toString().padStart(2, '0')}`;
 }
 
+function downloadBlob(content, filename, type) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, (c) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+  })[c]);
+}
+
 function trackAnalyticsEvent(eventName, details = {}) {
   if (!window.goatcounter || typeof window.goatcounter.count !== 'function') return;
 
@@ -168,26 +162,172 @@ function trackAnalyticsEvent(eventName, details = {}) {
 
 // ── Playlist ──
 
+// In blind mode the playlist lists listening-test trials instead of tracks
+function playlistEntries() {
+  if (blindMode && listeningTest) {
+    return listeningTest.trials.map((_, i) => listeningTest.trialTrack(i));
+  }
+  return tracks;
+}
+
+function findTrack(trackId) {
+  return playlistEntries().find(t => t.id === trackId);
+}
+
 function renderPlaylist() {
   $playlistTracks.innerHTML = '';
 
-  TRACKS.forEach(track => {
+  playlistEntries().forEach(track => {
     const div = document.createElement('div');
     div.className = 'track-item';
     div.dataset.id = track.id;
 
+    let badge = '<div class="track-badge has-continuation">prime + continuation</div>';
+    if (track.local) {
+      badge = `<div class="track-badge local">local \u00b7 ${track.continuations.length} continuation${track.continuations.length > 1 ? 's' : ''}</div>`;
+    } else if (track.blind) {
+      const answered = !!listeningTest.trials[track.trialIndex].preference;
+      badge = `<div class="track-badge ${answered ? 'has-continuation' : 'solo'}">${answered ? 'rated' : 'not rated'}</div>`;
+    }
+
+    const ranking = track.blind ? [] : variantRanking(track);
+    const rankingLine = ranking.length
+      ? `<div class="track-ranking" title="Divergence from the prime, closest first">${ranking.map(r => `${escapeHtml(r.label)} ${r.divergence.toFixed(2)}`).join(' \u00b7 ')}</div>`
+      : '';
+
     div.innerHTML = `
-      <div class="track-composer">${track.composer}</div>
-      <div class="track-title">${track.title}</div>
-      <div class="track-badge has-continuation">prime + continuation</div>
+      <div class="track-composer">${escapeHtml(track.composer)}</div>
+      <div class="track-title">${escapeHtml(track.title)}</div>
+      ${badge}
+      ${rankingLine}
       <div class="track-playing-indicator">
         <span></span><span></span><span></span><span></span>
       </div>
     `;
 
+    if (track.local) {
+      const remove = document.createElement('button');
+      remove.className = 'track-remove';
+      remove.title = 'Remove local track';
+      remove.setAttribute('aria-label', `Remove ${track.title}`);
+      remove.textContent = '\u00d7';
+      remove.addEventListener('click', (e) => {
+        e.stopPropagation();
+        removeLocalTrack(track.id);
+      });
+      div.appendChild(remove);
+    }
+
     div.addEventListener('click', () => selectTrack(track.id));
     $playlistTracks.appendChild(div);
   });
+  setActiveTrackUI(currentTrackId, player && player.isPlaying);
+  markMissingFiles();
+}
+
+function renderPlaylistError(message) {
+  $playlistTracks.innerHTML = '';
+  const div = document.createElement('div');
+  div.className = 'playlist-error';
+  div.textContent = message;
+  $playlistTracks.appendChild(div);
+}
+
+function showPlayerNotice(message, kind = 'info') {
+  $playerNotice.textContent = message;
+  $playerNotice.className = `player-notice visible ${kind}`;
+  clearTimeout(showPlayerNotice._timer);
+  showPlayerNotice._timer = setTimeout(() => {
+    $playerNotice.classList.remove('visible');
+  }, 5000);
+}
+
+function markMissingFiles() {
+  document.querySelectorAll('.track-item').forEach(el => {
+    const absent = missingFiles.get(el.dataset.id);
+    const badge = el.querySelector('.track-badge');
+    if (!absent) return;
+    el.classList.add('has-missing');
+    el.title = `Missing MIDI files:\n${absent.join('\n')}`;
+    badge.className = 'track-badge missing';
+    badge.textContent = `${absent.length} missing file${absent.length > 1 ? 's' : ''}`;
+  });
+}
+
+// ── Local files ──
+
+async function addLocalFiles(fileList) {
+  if (blindMode) {
+    showPlayerNotice('Leave the blind test to audition local files', 'error');
+    return;
+  }
+
+  let track;
+  try {
+    track = await buildLocalTrack(fileList);
+  } catch (err) {
+    console.error('Error reading local MIDI files:', err);
+    showPlayerNotice(err.message, 'error');
+    return;
+  }
+
+  tracks.unshift(track);
+  renderPlaylist();
+  $playlistTracks.scrollTop = 0;
+  trackAnalyticsEvent('local_files', { count: track.continuations.length + 1 });
+  await selectTrack(track.id);
+}
+
+function removeLocalTrack(trackId) {
+  tracks = tracks.filter(t => t.id !== trackId);
+  selectedVariants.delete(trackId);
+  variantScores.delete(trackId);
+  if (currentTrackId === trackId) clearCurrentTrack();
+  renderPlaylist();
+}
+
+function clearCurrentTrack() {
+  player.stop();
+  pianoRoll.setNotes([], 0, 0);
+  compareRoll.setNotes([], 0, 0);
+  notationView.setNotes([], 0, 0);
+  setLoopRegion(null);
+  currentTrackId = null;
+  renderVariantButtons();
+  renderCompareUI();
+  $btnPlay.disabled = true;
+  $btnStop.disabled = true;
+  $btnLoop.disabled = true;
+  updateExportButton();
+  $nowPlaying.textContent = '';
+  $miniTrack.textContent = '';
+  $timeTotal.textContent = '0:00';
+  $pianoRollEmptyText.textContent = 'Select a piece from the playlist';
+  $pianoRollEmpty.style.display = 'flex';
+  currentAnalysis = null;
+  renderGenerateBar();
+  renderAnalysisPanel();
+  renderMixerPanel();
+  updateDeepLink();
+}
+
+async function initPlaylist() {
+  try {
+    tracks = await loadTrackManifest();
+  } catch (err) {
+    console.error(err.message);
+    renderPlaylistError('Could not load the track manifest. See the console for details.');
+    return;
+  }
+
+  renderPlaylist();
+  restoreDeepLink();
+
+  missingFiles = await findMissingTrackFiles(tracks);
+  missingFiles.forEach((files, id) => {
+    console.warn(`Track "${id}" references missing MIDI files:\n  - ${files.join('\n  - ')}`);
+  });
+  markMissingFiles();
 }
 
 function setActiveTrackUI(trackId, isPlaying) {
@@ -199,31 +339,1218 @@ function setActiveTrackUI(trackId, isPlaying) {
 
 // ── Variant switching ──
 
-function updateVariantUI() {
-  $variantBtns.forEach((btn, i) => {
-    btn.classList.toggle('active', i === currentVariant);
+function getVariant(trackId) {
+  return selectedVariants.get(trackId) || 0;
+}
+
+function renderVariantButtons() {
+  const track = findTrack(currentTrackId);
+  $variantButtons.innerHTML = '';
+  $variantToggle.hidden = !track;
+  if (!track) return;
+
+  const active = getVariant(track.id);
+  track.continuations.forEach((cont, i) => {
+    const btn = document.createElement('button');
+    btn.className = 'variant-btn';
+    btn.textContent = cont.label;
+    btn.title = variantTitle(track, i);
+    btn.setAttribute('role', 'radio');
+    btn.dataset.index = i;
+    btn.classList.toggle('active', i === active);
+    btn.setAttribute('aria-checked', String(i === active));
+    // Roving tabindex: only the selected variant is in the tab order
+    btn.tabIndex = i === active ? 0 : -1;
+    btn.addEventListener('click', () => selectVariant(i));
+    $variantButtons.appendChild(btn);
   });
 }
 
+function variantTitle(track, i) {
+  const cont = track.continuations[i];
+  let title = cont.generated
+    ? `Continuation ${cont.label} \u2014 generated at ${describeSampling(cont.generated)}`
+    : `Continuation ${cont.label}`;
+  const scores = track.blind ? null : variantScores.get(track.id);
+  if (scores && typeof scores[i] === 'number') title += ` \u00b7 divergence ${scores[i].toFixed(2)}`;
+  return title;
+}
+
+function onVariantKeydown(e) {
+  const track = findTrack(currentTrackId);
+  if (!track) return;
+  const count = track.continuations.length;
+  const current = getVariant(track.id);
+
+  let next = null;
+  if (e.key === 'ArrowRight' || e.key === 'ArrowDown') next = (current + 1) % count;
+  else if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') next = (current - 1 + count) % count;
+  else if (e.key === 'Home') next = 0;
+  else if (e.key === 'End') next = count - 1;
+  if (next === null) return;
+
+  e.preventDefault();
+  e.stopPropagation();
+  selectVariant(next);
+  const btn = $variantButtons.querySelector(`[data-index="${next}"]`);
+  if (btn) btn.focus();
+}
+
 async function selectVariant(variantIndex) {
-  if (variantIndex === currentVariant) return;
-  currentVariant = variantIndex;
-  updateVariantUI();
+  const track = findTrack(currentTrackId);
+  if (!track) return;
+  if (variantIndex < 0 || variantIndex >= track.continuations.length) return;
+  if (variantIndex === getVariant(track.id)) return;
+
+  selectedVariants.set(track.id, variantIndex);
+  renderVariantButtons();
+
+  // Reload current track with new variant (comparisons keep their position)
+  await selectTrack(track.id, compareMode ? { startAt: player.getCurrentTime() } : {});
+}
 
-  // Reload current track with new variant
+// ── Comparison mode ──
+
+function getCompareVariant(track) {
+  const a = getVariant(track.id);
+  const b = compareVariants.get(track.id);
+  if (b !== undefined && b !== a && b < track.continuations.length) return b;
+  return a === 0 ? 1 : 0;
+}
+
+function renderCompareUI() {
+  const track = findTrack(currentTrackId);
+  const canCompare = !!track && track.continuations.length >= 2;
+  const active = compareMode && canCompare;
+
+  $btnCompare.disabled = !canCompare;
+  $btnCompare.classList.toggle('active', active);
+  $btnCompare.setAttribute('aria-pressed', String(active));
+  $paneB.hidden = !active;
+  $compareBar.hidden = !active;
+  $pianoRollWrapper.classList.toggle('comparing', active);
+  if (!active) return;
+
+  const a = getVariant(track.id);
+  const b = getCompareVariant(track);
+  $paneLabelA.textContent = `A \u00b7 continuation ${track.continuations[a].label}`;
+  $paneLabelB.textContent = `B \u00b7 continuation ${track.continuations[b].label}`;
+
+  $compareSelect.innerHTML = '';
+  track.continuations.forEach((cont, i) => {
+    if (i === a) return;
+    const opt = document.createElement('option');
+    opt.value = i;
+    opt.textContent = cont.label;
+    opt.selected = i === b;
+    $compareSelect.appendChild(opt);
+  });
+  updateCrossfadeUI();
+}
+
+function updateCrossfadeUI() {
+  const x = player.crossfade;
+  $compareCrossfade.value = Math.round(x * 100);
+  // Fade out the pane that is being faded out of the mix
+  $paneA.style.opacity = String(0.45 + 0.55 * Math.cos(x * Math.PI / 2));
+  $paneB.style.opacity = String(0.45 + 0.55 * Math.sin(x * Math.PI / 2));
+  document.querySelectorAll('.compare-solo').forEach(btn => {
+    btn.classList.toggle('active', Number(btn.dataset.solo) === x);
+  });
+}
+
+function setCrossfade(value) {
+  player.setCrossfade(value);
+  updateCrossfadeUI();
+}
+
+async function setCompareMode(on) {
+  if (on === compareMode) return;
+  compareMode = on;
+  renderCompareUI();
+  pianoRoll.resize();
+  compareRoll.resize();
+  if (!on) $paneA.style.opacity = '';
+
+  trackAnalyticsEvent('compare', { mode: on ? 'on' : 'off' });
   if (currentTrackId) {
-    await selectTrack(currentTrackId);
+    await selectTrack(currentTrackId, { startAt: player.getCurrentTime() });
+  }
+}
+
+async function selectCompareVariant(variantIndex) {
+  if (!currentTrackId) return;
+  compareVariants.set(currentTrackId, variantIndex);
+  await selectTrack(currentTrackId, { startAt: player.getCurrentTime() });
+}
+
+// ── Loop region ──
+
+function setLoopRegion(region) {
+  loopRegion = player.setLoop(region);
+  pianoRoll.setLoop(loopRegion);
+  compareRoll.setLoop(loopRegion);
+
+  const active = !!loopRegion;
+  $btnLoop.classList.toggle('active', active);
+  $btnLoop.setAttribute('aria-pressed', String(active));
+  $btnLoop.title = active ? 'Clear loop (L)' : 'Loop the seam (L) \u2014 or drag across the piano roll';
+  updateDeepLink();
+}
+
+function toggleSeamLoop() {
+  if (!currentTrackId) return;
+  if (loopRegion) {
+    setLoopRegion(null);
+    return;
+  }
+  const seam = player.seamLoop();
+  if (!seam) {
+    showPlayerNotice('This track has no continuation to loop around', 'error');
+    return;
+  }
+  setLoopRegion(seam);
+  player.seek(seam.start);
+  trackAnalyticsEvent('loop', { track: currentTrackId, preset: 'seam' });
+}
+
+// ── Instruments ──
+
+const INSTRUMENT_STORAGE_KEY = 'continuo.instrument';
+
+function savedInstrument() {
+  try {
+    const id = localStorage.getItem(INSTRUMENT_STORAGE_KEY);
+    return INSTRUMENT_REGISTRY.has(id) ? id : DEFAULT_INSTRUMENT;
+  } catch (err) {
+    return DEFAULT_INSTRUMENT;
+  }
+}
+
+function renderInstrumentSelect() {
+  $instrumentSelect.innerHTML = '';
+  listInstruments().forEach(def => {
+    const opt = document.createElement('option');
+    opt.value = def.id;
+    opt.textContent = def.name;
+    $instrumentSelect.appendChild(opt);
+  });
+  $instrumentSelect.value = player.instrumentId;
+}
+
+async function selectInstrument(id) {
+  try { localStorage.setItem(INSTRUMENT_STORAGE_KEY, id); } catch (err) {}
+  $instrumentSelect.disabled = true;
+  await player.setInstrument(id);
+  $instrumentSelect.disabled = false;
+  trackAnalyticsEvent('instrument', { id });
+}
+
+function onInstrumentChange(id, { fellBack }) {
+  $instrumentSelect.value = id;
+  if (fellBack) {
+    showPlayerNotice('Piano samples could not be loaded \u2014 using the built-in synth', 'error');
+  }
+}
+
+// ── MIDI output ──
+// Access is only requested once the user asks for it, since browsers
+// prompt for Web MIDI permission.
+
+const MIDI_CONNECT_OPTION = '__connect';
+let midiAccess = null;
+
+function renderOutputSelect() {
+  $outputSelect.innerHTML = '';
+  const addOption = (value, label, disabled = false) => {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = label;
+    opt.disabled = disabled;
+    $outputSelect.appendChild(opt);
+  };
+
+  addOption('', 'Speakers');
+  if (!midiAccess) {
+    addOption(MIDI_CONNECT_OPTION, 'MIDI output\u2026');
+  } else {
+    const outputs = listMidiOutputs(midiAccess);
+    outputs.forEach(o => addOption(o.id, o.name));
+    if (outputs.length === 0) addOption(MIDI_CONNECT_OPTION, 'No MIDI outputs found', true);
+  }
+  $outputSelect.value = player.midiOutput ? player.midiOutput.id : '';
+}
+
+async function selectOutput(id) {
+  if (id === MIDI_CONNECT_OPTION) {
+    try {
+      midiAccess = await requestMidiAccess();
+      midiAccess.onstatechange = onMidiStateChange;
+    } catch (err) {
+      console.warn('Web MIDI access failed:', err);
+      showPlayerNotice('MIDI output is unavailable \u2014 access was denied or unsupported', 'error');
+    }
+    renderOutputSelect();
+    return;
+  }
+
+  const port = id && midiAccess ? midiAccess.outputs.get(id) : null;
+  player.setMidiOutput(port ? new MidiOutputPort(port) : null);
+  renderOutputSelect();
+  trackAnalyticsEvent('output', { midi: !!port });
+}
+
+function onMidiStateChange() {
+  if (recordMode) recorder.attachMidiInputs(midiAccess);
+  const current = player.midiOutput;
+  if (current && !listMidiOutputs(midiAccess).some(o => o.id === current.id)) {
+    player.setMidiOutput(null);
+    showPlayerNotice(`${current.name} disconnected \u2014 playing through the speakers`, 'error');
+  }
+  renderOutputSelect();
+}
+
+// ── Piano-roll view ──
+
+// Both comparison panes share one time axis
+function onRollViewChange(source, view) {
+  const other = source === pianoRoll ? compareRoll : pianoRoll;
+  other.setView(view);
+  updateFollowButton();
+}
+
+function updateFollowButton() {
+  const on = pianoRoll.followPlayhead;
+  $btnFollow.classList.toggle('active', on);
+  $btnFollow.setAttribute('aria-pressed', String(on));
+}
+
+// ── Keyboard view ──
+
+const KEYBOARD_STORAGE_KEY = 'continuo.showKeyboard';
+
+function setKeyboardVisible(on) {
+  $keyboardWrap.hidden = !on;
+  $btnKeyboard.classList.toggle('active', on);
+  $btnKeyboard.setAttribute('aria-pressed', String(on));
+  $btnKeyboard.title = on ? 'Hide keyboard (K)' : 'Show keyboard (K)';
+  try { localStorage.setItem(KEYBOARD_STORAGE_KEY, on ? '1' : '0'); } catch (err) {}
+
+  // The rolls give up (or get back) the keyboard's height
+  pianoRoll.resize();
+  compareRoll.resize();
+  notationView.resize();
+  keyboardView.resize();
+}
+
+function savedKeyboardVisible() {
+  try {
+    return localStorage.getItem(KEYBOARD_STORAGE_KEY) === '1';
+  } catch (err) {
+    return false;
+  }
+}
+
+// ── Chord & key lane ──
+
+const HARMONY_STORAGE_KEY = 'continuo.showHarmony';
+
+function setHarmonyVisible(on) {
+  pianoRoll.setShowHarmony(on);
+  compareRoll.setShowHarmony(on);
+  $pianoRollWrapper.classList.toggle('show-harmony', on);
+  $btnHarmony.classList.toggle('active', on);
+  $btnHarmony.setAttribute('aria-pressed', String(on));
+  $btnHarmony.title = on ? 'Hide chords & keys (H)' : 'Show chords & keys (H)';
+  try { localStorage.setItem(HARMONY_STORAGE_KEY, on ? '1' : '0'); } catch (err) {}
+}
+
+function savedHarmonyVisible() {
+  try {
+    return localStorage.getItem(HARMONY_STORAGE_KEY) === '1';
+  } catch (err) {
+    return false;
+  }
+}
+
+// ── Notation view ──
+
+const NOTATION_STORAGE_KEY = 'continuo.showNotation';
+
+function notationVisible() {
+  return $pianoRollWrapper.classList.contains('notation');
+}
+
+function setNotationVisible(on) {
+  $pianoRollWrapper.classList.toggle('notation', on);
+  $btnNotation.classList.toggle('active', on);
+  $btnNotation.setAttribute('aria-pressed', String(on));
+  $btnNotation.title = on ? 'Show piano roll (N)' : 'Show notation (N)';
+  try { localStorage.setItem(NOTATION_STORAGE_KEY, on ? '1' : '0'); } catch (err) {}
+
+  // Whichever view was hidden has no size to draw into until now
+  pianoRoll.resize();
+  compareRoll.resize();
+  notationView.resize();
+}
+
+function savedNotationVisible() {
+  try {
+    return localStorage.getItem(NOTATION_STORAGE_KEY) === '1';
+  } catch (err) {
+    return false;
+  }
+}
+
+// ── Mixer ──
+
+// Source strips are a listening preference and persist; track strips follow the file
+const SOURCE_MIX_STORAGE_KEY = 'continuo.sourceMix';
+
+function savedSourceMix() {
+  try {
+    return JSON.parse(localStorage.getItem(SOURCE_MIX_STORAGE_KEY));
+  } catch (err) {
+    return null;
+  }
+}
+
+function restoreSourceMix() {
+  const saved = savedSourceMix() || {};
+  for (const source of Object.keys(player.mix.sources)) {
+    if (saved[source]) player.setMixStrip('sources', source, saved[source]);
+  }
+}
+
+function setMixStrip(group, key, changes) {
+  const strip = player.setMixStrip(group, group === 'tracks' ? Number(key) : key, changes);
+  if (group === 'sources') {
+    try { localStorage.setItem(SOURCE_MIX_STORAGE_KEY, JSON.stringify(player.mix.sources)); } catch (err) {}
+  }
+  updateMixerSilence();
+  return strip;
+}
+
+function setMixerOpen(open) {
+  mixerOpen = open;
+  renderMixerPanel();
+  trackAnalyticsEvent('mixer', { mode: open ? 'on' : 'off' });
+}
+
+function renderMixerPanel() {
+  // Soloing a source would give away where the continuation starts
+  const open = mixerOpen && !blindMode;
+  $mixerPanel.hidden = !open;
+  $btnMixer.disabled = blindMode;
+  $btnMixer.classList.toggle('active', open);
+  $btnMixer.setAttribute('aria-pressed', String(open));
+  if (!open) return;
+
+  const strips = [
+    { group: 'sources', key: 'original', name: 'Prime' },
+    { group: 'sources', key: 'continuation', name: 'Continuation' },
+  ];
+  // One track is the whole file, so its strip would only repeat the sources
+  const tracks = player.mixTracks();
+  if (tracks.length > 1) {
+    tracks.forEach(({ idx, name }) => strips.push({ group: 'tracks', key: idx, name: name || `Track ${idx + 1}` }));
+  }
+
+  $mixerBody.innerHTML = strips.map(({ group, key, name }) => {
+    const strip = player.mix[group][key];
+    const label = escapeHtml(name);
+    const toggle = (field, text, title) =>
+      `<button class="compare-solo${strip[field] ? ' active' : ''}" data-toggle="${field}" aria-pressed="${strip[field]}" title="${title} ${label}">${text}</button>`;
+    return `
+      <div class="mixer-strip" data-group="${group}" data-key="${key}">
+        <span class="mixer-name${group === 'sources' ? ` ${key}` : ''}">${label}</span>
+        ${toggle('mute', 'M', 'Mute')}
+        ${toggle('solo', 'S', 'Solo')}
+        <input type="range" class="mixer-level" data-field="level" min="0" max="100" value="${Math.round(strip.level * 100)}" aria-label="${label} level">
+        <input type="range" class="mixer-pan" data-field="pan" min="-100" max="100" value="${Math.round(strip.pan * 100)}" aria-label="${label} pan">
+      </div>`;
+  }).join('') + '<button class="compare-solo" id="mixer-reset" title="Back to full level, centred, nothing muted">Reset</button>';
+  updateMixerSilence();
+}
+
+function updateMixerSilence() {
+  $mixerBody.querySelectorAll('.mixer-strip').forEach(el => {
+    const { group, key } = el.dataset;
+    el.classList.toggle('silent', player.stripLevel(group, group === 'tracks' ? Number(key) : key) === 0);
+  });
+}
+
+function onMixerClick(e) {
+  if (e.target.id === 'mixer-reset') {
+    player.resetMix();
+    try { localStorage.removeItem(SOURCE_MIX_STORAGE_KEY); } catch (err) {}
+    renderMixerPanel();
+    return;
+  }
+  const button = e.target.closest('[data-toggle]');
+  if (!button) return;
+  const { group, key } = button.closest('.mixer-strip').dataset;
+  const field = button.dataset.toggle;
+  const strip = setMixStrip(group, key, { [field]: !button.classList.contains('active') });
+  button.classList.toggle('active', strip[field]);
+  button.setAttribute('aria-pressed', String(strip[field]));
+  trackAnalyticsEvent('mix', { strip: group === 'tracks' ? `track-${Number(key) + 1}` : key, [field]: strip[field] });
+}
+
+function onMixerInput(e) {
+  const field = e.target.dataset.field;
+  if (!field) return;
+  const { group, key } = e.target.closest('.mixer-strip').dataset;
+  setMixStrip(group, key, { [field]: Number(e.target.value) / 100 });
+}
+
+// ── Playback speed ──
+
+const PLAYBACK_RATE_STORAGE_KEY = 'continuo.playbackRate';
+
+function savedPlaybackRate() {
+  try {
+    return Number(localStorage.getItem(PLAYBACK_RATE_STORAGE_KEY)) || 1;
+  } catch (err) {
+    return 1;
+  }
+}
+
+function selectPlaybackRate(rate) {
+  rate = player.setPlaybackRate(rate);
+  $speedSelect.value = String(rate);
+  try { localStorage.setItem(PLAYBACK_RATE_STORAGE_KEY, String(rate)); } catch (err) {}
+  trackAnalyticsEvent('playback_rate', { rate });
+}
+
+// ── Export ──
+
+function exportFilename(track, suffix, ext) {
+  const variant = track.continuations[Math.min(getVariant(track.id), track.continuations.length - 1)];
+  const base = `${track.id}-${variant.label}`.toLowerCase().replace(/[^a-z0-9_-]+/g, '-');
+  return `${base}${suffix ? `-${suffix}` : ''}.${ext}`;
+}
+
+const EXPORT_GRID_STORAGE_KEY = 'continuo.exportGrid';
+
+function savedExportGrid() {
+  try {
+    return localStorage.getItem(EXPORT_GRID_STORAGE_KEY);
+  } catch (err) {
+    return null;
+  }
+}
+
+function setExportMenuOpen(open) {
+  if (open) {
+    // Trimmed MIDI needs something to trim to
+    $exportMenuList.querySelectorAll('[data-export]').forEach(item => {
+      const kind = item.dataset.export;
+      item.disabled = kind in MIDI_EXPORT_SUFFIXES && kind !== 'midi' && !exportRange(kind);
+    });
+  }
+  $exportMenuList.hidden = !open;
+  $btnExport.setAttribute('aria-expanded', String(open));
+  if (open) {
+    const first = $exportMenuList.querySelector('[role="menuitem"]:not(:disabled)');
+    if (first) first.focus();
   }
 }
 
+// MIDI export kinds and the filename suffix of each; all but 'midi' are trimmed
+const MIDI_EXPORT_SUFFIXES = { midi: null, 'midi-view': 'excerpt', 'midi-loop': 'loop', 'midi-selection': 'selection' };
+
+// Time span a trimmed MIDI export covers, or null when there is none
+function exportRange(kind) {
+  // The roll has no width while the notation view stands in for it
+  if (kind === 'midi-view') return notationVisible() ? null : pianoRoll.getVisibleRange();
+  if (kind === 'midi-loop') return loopRegion;
+  if (kind === 'midi-selection') return noteSpan(pianoRoll.selection);
+  return null;
+}
+
+function showExportProgress(label, fraction) {
+  $loadingText.textContent = label;
+  $loadingProgress.hidden = fraction === null;
+  if (fraction !== null) $loadingProgressFill.style.width = `${Math.round(fraction * 100)}%`;
+  $loadingOverlay.classList.add('visible');
+}
+
+function hideExportProgress() {
+  $loadingOverlay.classList.remove('visible');
+  $loadingProgress.hidden = true;
+  $loadingText.textContent = 'Loading MIDI...';
+}
+
+async function runExport(kind) {
+  const track = findTrack(currentTrackId);
+  if (!track || exportInProgress) return;
+
+  exportInProgress = true;
+  $btnExport.disabled = true;
+  // Offline rendering swaps Tone's global context; keep live playback out of the way
+  if (player.isPlaying) player.pause();
+
+  try {
+    if (kind === 'wav' || kind === 'wav-continuation') {
+      const continuationOnly = kind === 'wav-continuation';
+      showExportProgress('Preparing instrument...', 0);
+      const buffer = await player.renderAudio({
+        continuationOnly,
+        onProgress: (p) => showExportProgress(`Rendering audio... ${Math.round(p * 100)}%`, p),
+      });
+      showExportProgress('Encoding WAV...', null);
+      downloadBlob(encodeWav(buffer), exportFilename(track, continuationOnly ? 'continuation' : null, 'wav'));
+    }
+    if (kind in MIDI_EXPORT_SUFFIXES) {
+      // Only the boxed notes for a selection, not everything in their span
+      const notes = kind === 'midi-selection' ? pianoRoll.selection : player.notes;
+      const midi = buildSplitMidi(notes, player.header, {
+        range: exportRange(kind),
+        name: `${track.composer} \u2014 ${track.title}`,
+      });
+      downloadBlob(encodeMidi(midi), exportFilename(track, MIDI_EXPORT_SUFFIXES[kind], 'mid'));
+    }
+    if (kind === 'musicxml' || kind === 'abc') {
+      // Same bars as the piano roll and notation view, on the chosen grid
+      const score = buildScore(player.notes, pianoRoll.beats, {
+        primeDuration: player.primeDuration,
+        duration: player.duration,
+        slotsPerWhole: Number($exportGrid.value),
+      });
+      const meta = { title: track.title, composer: track.composer };
+      if (kind === 'musicxml') {
+        downloadBlob(buildMusicXml(score, meta), exportFilename(track, null, 'musicxml'), MUSICXML_TYPE);
+      } else {
+        downloadBlob(buildAbc(score, meta), exportFilename(track, null, 'abc'), ABC_TYPE);
+      }
+    }
+    trackAnalyticsEvent('export', { kind, track: track.id });
+  } catch (err) {
+    console.error('Export failed:', err);
+    showPlayerNotice(`Export failed: ${err.message}`, 'error');
+  } finally {
+    hideExportProgress();
+    exportInProgress = false;
+    updateExportButton();
+  }
+}
+
+function updateExportButton() {
+  // Exporting would reveal which stimulus is which during a blind test
+  $btnExport.disabled = !currentTrackId || blindMode || exportInProgress;
+}
+
+// ── Blind listening test ──
+
+async function setBlindMode(on) {
+  if (on === blindMode) return;
+  if (on && tracks.length === 0) return;
+  if (on && recordMode) await setRecordMode(false);
+
+  if (on) {
+    // Trial ids repeat across sessions; don't carry A/B picks over
+    [...selectedVariants.keys()].filter(id => id.startsWith('trial-')).forEach(id => selectedVariants.delete(id));
+    listeningTest = ListeningTest.restore() || ListeningTest.create(tracks);
+    if (listeningTest.trials.length === 0) {
+      listeningTest.discard();
+      listeningTest = null;
+      showPlayerNotice('No tracks have two continuations to compare', 'error');
+      return;
+    }
+  }
+
+  blindMode = on;
+  clearCurrentTrack();
+  pianoRoll.showSourceLabels = !on;
+  compareRoll.showSourceLabels = !on;
+  notationView.showSourceLabels = !on;
+  $btnBlind.classList.toggle('active', on);
+  $btnBlind.setAttribute('aria-pressed', String(on));
+  $playlist.classList.toggle('blind', on);
+  renderPlaylist();
+  renderTestBar();
+  renderAnalysisPanel();
+  // A faded or muted prime would give away where the continuation starts
+  if (on) player.resetMix();
+  else restoreSourceMix();
+  renderMixerPanel();
+  trackAnalyticsEvent('blind_test', { mode: on ? 'on' : 'off' });
+
+  if (on) {
+    $testParticipant.value = listeningTest.session.participant || '';
+    await selectTrack(listeningTest.trialTrack(listeningTest.currentIndex).id);
+  }
+}
+
+function currentTrial() {
+  const track = findTrack(currentTrackId);
+  return track && track.blind ? listeningTest.trials[track.trialIndex] : null;
+}
+
+function renderTestBar() {
+  $testBar.hidden = !blindMode;
+  if (!blindMode) return;
+
+  const trial = currentTrial();
+  const answered = listeningTest.answeredCount;
+  const total = listeningTest.trials.length;
+  $testProgress.textContent = trial
+    ? `Trial ${trial.index} / ${total} \u00b7 ${answered} rated`
+    : `${answered} / ${total} rated`;
+
+  document.querySelectorAll('.test-choice-btn').forEach(btn => {
+    const on = !!trial && trial.preference === btn.dataset.pref;
+    btn.classList.toggle('active', on);
+    btn.setAttribute('aria-checked', String(on));
+    btn.disabled = !trial;
+  });
+  $testRatingA.value = trial && trial.ratingA ? trial.ratingA : '';
+  $testRatingB.value = trial && trial.ratingB ? trial.ratingB : '';
+  $testRatingA.disabled = $testRatingB.disabled = !trial;
+
+  $testNext.textContent = listeningTest.isComplete ? 'All rated' : 'Next trial';
+  $testNext.disabled = listeningTest.isComplete || !trial || !trial.preference;
+  // Results are only worth downloading once every trial is rated
+  $testExportJson.disabled = $testExportCsv.disabled = !listeningTest.isComplete;
+  $testBar.classList.toggle('complete', listeningTest.isComplete);
+}
+
+function rateCurrentTrial(rating) {
+  const trial = currentTrial();
+  if (!trial) return;
+  listeningTest.rate(trial.index - 1, rating);
+  renderTestBar();
+  renderPlaylist();
+  if (listeningTest.isComplete) {
+    showPlayerNotice('All trials rated \u2014 download the results as JSON or CSV');
+  }
+}
+
+async function nextTrial() {
+  const i = listeningTest.nextUnanswered();
+  if (i < 0) return;
+  await selectTrack(listeningTest.trialTrack(i).id);
+}
+
+function exportTestResults(format) {
+  if (!listeningTest || !listeningTest.isComplete) return;
+  const isCsv = format === 'csv';
+  downloadBlob(
+    isCsv ? listeningTest.toCSV() : listeningTest.toJSON(),
+    `${listeningTest.session.id}.${format}`,
+    isCsv ? 'text/csv' : 'application/json',
+  );
+  trackAnalyticsEvent('blind_test_export', { format, rated: listeningTest.answeredCount });
+}
+
+// Exit keeps the session for later; ending it drops the saved ratings for good
+async function endTest() {
+  if (!listeningTest) return;
+  const prompt = listeningTest.isComplete
+    ? 'End the test? Its saved ratings will be cleared, so download the results first.'
+    : 'End the test before every trial is rated? Its saved ratings will be cleared.';
+  if (!window.confirm(prompt)) return;
+
+  listeningTest.discard();
+  await setBlindMode(false);
+  listeningTest = null;
+  showPlayerNotice('Test ended \u2014 its local copy was cleared');
+}
+
+// ── Prime recording ──
+
+async function setRecordMode(on) {
+  if (on === recordMode) return;
+  if (on && blindMode) {
+    showPlayerNotice('Leave the blind test to record a prime', 'error');
+    return;
+  }
+
+  if (recorder.isRecording) recorder.stop();
+  recordMode = on;
+  recordedTake = null;
+  clearCurrentTrack();
+  $btnRecord.classList.toggle('active', on);
+  $btnRecord.setAttribute('aria-pressed', String(on));
+  keyboardView.playable = on;
+  $keyboardWrap.classList.toggle('playable', on);
+  trackAnalyticsEvent('record', { mode: on ? 'on' : 'off' });
+
+  if (on) {
+    if ($keyboardWrap.hidden) setKeyboardVisible(true);
+    $pianoRollEmptyText.textContent = 'Play a MIDI keyboard or the keys below, then press Record';
+    await connectMidiInputs();
+  } else {
+    recorder.detachMidiInputs();
+  }
+  renderRecordBar();
+}
+
+async function connectMidiInputs() {
+  if (!navigator.requestMIDIAccess) return;
+  try {
+    if (!midiAccess) {
+      midiAccess = await requestMidiAccess();
+      midiAccess.onstatechange = onMidiStateChange;
+      renderOutputSelect();
+    }
+    recorder.attachMidiInputs(midiAccess);
+  } catch (err) {
+    console.warn('Web MIDI access failed:', err);
+    showPlayerNotice('No MIDI input access \u2014 use the on-screen keyboard', 'error');
+  }
+}
+
+function renderRecordBar() {
+  renderGenerateBar();
+  $recordBar.hidden = !recordMode;
+  if (!recordMode) return;
+
+  const recording = recorder.isRecording;
+  $recordToggle.textContent = recording ? 'Stop' : 'Record';
+  $recordToggle.classList.toggle('active', recording);
+  $recordBar.classList.toggle('recording', recording);
+  $recordBpm.disabled = recording;
+  $recordCountIn.disabled = recording;
+  $recordSave.disabled = recording || !recordedTake;
+
+  if (recording) {
+    const t = recorder.currentTime();
+    const beatsLeft = Math.ceil(-t * recorder.bpm / 60);
+    $recordStatus.textContent = t < 0
+      ? `Count-in ${beatsLeft}`
+      : `Recording ${formatTime(t)} \u00b7 ${recorder.liveNotes().length} notes`;
+  } else if (recordedTake) {
+    $recordStatus.textContent = `Take \u00b7 ${recordedTake.notes.length} notes \u00b7 ${formatTime(player.duration)}`;
+  } else {
+    $recordStatus.textContent = 'Ready';
+  }
+}
+
+async function toggleRecording() {
+  if (recorder.isRecording) {
+    await finishRecording();
+    return;
+  }
+
+  const bpm = Math.max(MIN_RECORD_BPM, Math.min(MAX_RECORD_BPM, Math.round(Number($recordBpm.value)) || 120));
+  $recordBpm.value = bpm;
+  player.stop();
+  recordedTake = null;
+  $btnPlay.disabled = true;
+  $btnStop.disabled = true;
+  $pianoRollEmpty.style.display = 'none';
+  pianoRoll.setNotes([], 0, 0);
+  notationView.setNotes([], 0, 0);
+
+  await recorder.start({
+    bpm,
+    beatsPerBar: 4,
+    countInBars: Number($recordCountIn.value),
+    metronome: $recordMetronome.checked,
+  });
+  renderRecordBar();
+}
+
+// Redraws the take as it grows; the view always shows at least a few bars
+function onRecordingUpdate(time) {
+  const shown = Math.max(0, time);
+  const span = Math.max(shown + 1, 8 * recorder.beatsPerBar * 60 / recorder.bpm);
+  pianoRoll.setNotes(recorder.liveNotes(), span, span, recorder.bpm, recorder.beatsPerBar);
+  pianoRoll.updateCursor(shown);
+  $timeCurrent.textContent = formatTime(shown);
+  renderRecordBar();
+}
+
+async function finishRecording() {
+  const notes = recorder.stop();
+  if (notes.length === 0) {
+    pianoRoll.setNotes([], 0, 0);
+    $pianoRollEmpty.style.display = 'flex';
+    renderRecordBar();
+    showPlayerNotice('Nothing was recorded', 'error');
+    return;
+  }
+  recordedTake = { notes, bpm: recorder.bpm, beatsPerBar: recorder.beatsPerBar, midi: null };
+  await loadRecordedTake();
+  trackAnalyticsEvent('record_take', { notes: notes.length });
+}
+
+// Quantizes the take as currently set and loads it for auditioning
+async function loadRecordedTake() {
+  const { notes, bpm, beatsPerBar } = recordedTake;
+  const grid = Number($recordQuantize.value);
+  recordedTake.midi = buildPrimeMidi(quantizeNotes(notes, bpm, grid), { bpm, beatsPerBar });
+
+  const loaded = await player.loadTrack(recordedTake.midi, recordedTake.midi);
+  pianoRoll.setNotes(loaded.notes, loaded.duration, loaded.primeDuration, loaded.bpm, loaded.beatsPerBar, loaded.timing);
+  pianoRoll.setPedals(loaded.pedals);
+  notationView.setNotes(loaded.notes, loaded.duration, loaded.primeDuration, pianoRoll.beats);
+  renderMixerPanel();
+  $btnPlay.disabled = false;
+  $btnStop.disabled = false;
+  $timeTotal.textContent = formatTime(loaded.duration);
+  $timeCurrent.textContent = '0:00';
+  $nowPlaying.textContent = 'Recorded prime';
+  renderRecordBar();
+}
+
+function saveRecordedTake() {
+  if (!recordedTake) return;
+  const stamp = new Date().toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+  downloadBlob(encodeMidi(recordedTake.midi), `recording-${stamp}_clean_prime.mid`);
+  trackAnalyticsEvent('record_save', { notes: recordedTake.notes.length });
+}
+
+// ── Continuation generator ──
+
+const GENERATION_ENDPOINT_STORAGE_KEY = 'continuo.generationEndpoint';
+
+function savedGenerationEndpoint() {
+  try {
+    return localStorage.getItem(GENERATION_ENDPOINT_STORAGE_KEY) || '';
+  } catch (err) {
+    return '';
+  }
+}
+
+// The prime to continue: the current track's, or a finished recording
+function generationTarget() {
+  if (recordMode) {
+    return recordedTake && !recorder.isRecording ? { prime: recordedTake.midi, track: null } : null;
+  }
+  const track = findTrack(currentTrackId);
+  return track && !track.blind ? { prime: track.prime, track } : null;
+}
+
+function setGenerateBarOpen(open) {
+  generateBarOpen = open;
+  renderGenerateBar();
+}
+
+function renderGenerateBar() {
+  // Generating mid-test would add unblinded variants
+  const open = generateBarOpen && !blindMode;
+  $generateBar.hidden = !open;
+  $btnGenerate.disabled = blindMode;
+  $btnGenerate.classList.toggle('active', open);
+  $btnGenerate.setAttribute('aria-pressed', String(open));
+
+  const busy = !!generationController;
+  const target = generationTarget();
+  $generateRun.disabled = busy || !target;
+  $generateCancel.hidden = !busy;
+  if (!busy) {
+    $generateStatus.textContent = target ? '' : (recordMode ? 'Record a take first' : 'Select a track first');
+  }
+}
+
+function describeSampling(p) {
+  return `T ${p.temperature}, top-p ${p.topP}, ${p.length} tokens, seed ${p.seed === null ? 'any' : p.seed}`;
+}
+
+async function runGeneration() {
+  const target = generationTarget();
+  const endpoint = $generateEndpoint.value.trim();
+  if (!target || generationController) return;
+  if (!endpoint) {
+    $generateStatus.textContent = 'Enter the generation server URL';
+    $generateEndpoint.focus();
+    return;
+  }
+  try { localStorage.setItem(GENERATION_ENDPOINT_STORAGE_KEY, endpoint); } catch (err) {}
+
+  const controller = new AbortController();
+  generationController = controller;
+  renderGenerateBar();
+  $generateStatus.textContent = 'Generating\u2026';
+  const params = {
+    temperature: $generateTemperature.value,
+    topP: $generateTopP.value,
+    length: $generateLength.value,
+    seed: $generateSeed.value.trim(),
+    count: $generateCount.value,
+  };
+  trackAnalyticsEvent('generate', { count: params.count });
+
+  let results = null;
+  try {
+    results = await requestContinuations(endpoint, target.prime, params, {
+      signal: controller.signal,
+      onProgress: (p) => { $generateStatus.textContent = `Generating\u2026 ${Math.round(p * 100)}%`; },
+    });
+  } catch (err) {
+    // Cancelling is the user's own call, not a failure
+    if (!controller.signal.aborted) {
+      console.error('Generation failed:', err);
+      showPlayerNotice(err.message, 'error');
+    }
+  } finally {
+    generationController = null;
+    renderGenerateBar();
+  }
+  if (!results) {
+    if (controller.signal.aborted) {
+      $generateStatus.textContent = 'Generation cancelled';
+      trackAnalyticsEvent('generate_cancel');
+    }
+    return;
+  }
+  await addGeneratedContinuations(target, results);
+}
+
+// New continuations become variants of the track they were generated for;
+// a recorded prime gets a local track of its own
+async function addGeneratedContinuations(target, results) {
+  let track = target.track;
+  if (!track) {
+    recordedTrackCounter++;
+    track = {
+      id: `recording-${recordedTrackCounter}`,
+      composer: 'Recorded',
+      title: `Take ${recordedTrackCounter}`,
+      prime: target.prime,
+      continuations: [],
+      local: true,
+    };
+    tracks.unshift(track);
+  }
+
+  const first = track.continuations.length;
+  for (const { midi, params } of results) {
+    track.continuations.push({ file: midi, label: variantLabel(track.continuations.length), generated: params });
+  }
+  const labels = track.continuations.slice(first).map(c => c.label).join(', ');
+  renderPlaylist();
+  showPlayerNotice(`Added continuation${results.length > 1 ? 's' : ''} ${labels} \u2014 press a variant to hear it`);
+  trackAnalyticsEvent('generate_done', { count: results.length });
+
+  if (!target.track) {
+    selectedVariants.set(track.id, first);
+    await selectTrack(track.id);
+  } else if (track.id === currentTrackId) {
+    renderVariantButtons();
+    renderCompareUI();
+  }
+}
+
+// ── Analysis ──
+
+const DYNAMIC_MARKS = ['ppp', 'pp', 'p', 'mp', 'mf', 'f', 'ff', 'fff']; // one per velocity bin
+
+function setAnalysisOpen(open) {
+  analysisOpen = open;
+  renderAnalysisPanel();
+  trackAnalyticsEvent('analysis', { mode: open ? 'on' : 'off' });
+}
+
+// Continuations from closest to furthest from the prime, as far as analyzed
+function variantRanking(track) {
+  const scores = variantScores.get(track.id) || [];
+  return track.continuations
+    .map((cont, i) => ({ label: cont.label, divergence: scores[i] }))
+    .filter(r => typeof r.divergence === 'number')
+    .sort((a, b) => a.divergence - b.divergence);
+}
+
+// Scores every continuation of a track not yet analyzed; the loaded
+// variant is scored from the player's own notes in selectTrack().
+// Runs on selection so the playlist ranking shows without the panel;
+// a second call while one is running shares it.
+function rankVariants(track) {
+  if (!track || track.blind) return Promise.resolve();
+  if (!rankingJobs.has(track.id)) {
+    const job = scoreVariants(track).finally(() => rankingJobs.delete(track.id));
+    rankingJobs.set(track.id, job);
+  }
+  return rankingJobs.get(track.id);
+}
+
+async function scoreVariants(track) {
+  if (!variantScores.has(track.id)) variantScores.set(track.id, []);
+  const scores = variantScores.get(track.id);
+  const pending = track.continuations.map((_, i) => i).filter(i => scores[i] === undefined);
+  for (const i of pending) {
+    try {
+      scores[i] = analyzeNotes(await player.readNotes(track.continuations[i].file, track.prime)).divergence;
+    } catch (err) {
+      console.warn(`Could not analyze continuation ${track.continuations[i].label} of "${track.id}":`, err);
+      scores[i] = null;
+    }
+  }
+  renderPlaylist();
+  if (track.id === currentTrackId) {
+    // Titles only: rebuilding the buttons would drop keyboard focus
+    $variantButtons.querySelectorAll('.variant-btn').forEach(btn => {
+      btn.title = variantTitle(track, Number(btn.dataset.index));
+    });
+    renderAnalysisPanel();
+  }
+}
+
+function renderAnalysisPanel() {
+  // Statistics would tell the listener which stimulus is which
+  const open = analysisOpen && !blindMode;
+  $analysisPanel.hidden = !open;
+  $btnAnalysis.disabled = blindMode;
+  $btnAnalysis.classList.toggle('active', open);
+  $btnAnalysis.setAttribute('aria-pressed', String(open));
+  if (!open) return;
+
+  const track = findTrack(currentTrackId);
+  const a = currentAnalysis;
+  if (!track || !a) {
+    $analysisBody.innerHTML = `<span>${track ? 'Analyzing\u2026' : 'Select a track to analyze'}</span>`;
+    return;
+  }
+  if (!a.prime || !a.continuation) {
+    $analysisBody.innerHTML = '<span>This file has no notes on one side of the prime boundary</span>';
+    return;
+  }
+
+  const label = track.continuations[getVariant(track.id)].label;
+  const ranking = variantRanking(track);
+  const fmt = (v, digits, unit = '') => `${v.toFixed(digits)}${unit}`;
+  const rows = [
+    ['Key', s => `${escapeHtml(s.key.name)} (r ${fmt(s.key.correlation, 2)})`],
+    ['Notes', s => String(s.count)],
+    ['Density', s => fmt(s.density, 1, '/s')],
+    ['Velocity', s => `${fmt(s.meanVelocity * 127, 0)} \u00b1 ${fmt(s.velocitySpread * 127, 0)}`],
+    ['Interval', s => fmt(s.meanInterval, 1, ' st')],
+    ['IOI', s => fmt(s.meanIoi * 1000, 0, ' ms')],
+  ];
+
+  $analysisBody.innerHTML = `
+    <div class="analysis-summary">
+      <span>Continuation ${escapeHtml(label)} vs prime</span>
+      <span class="analysis-score" title="0 = the continuation matches the prime on every measure">divergence ${fmt(a.divergence, 2)}</span>
+      ${ranking.length > 1 ? `<span>closest first: ${ranking.map(r => `${escapeHtml(r.label)} ${fmt(r.divergence, 2)}`).join(' \u00b7 ')}</span>` : ''}
+    </div>
+    <table class="analysis-table">
+      <thead><tr><th></th><th class="original">Prime</th><th class="continuation">Continuation</th></tr></thead>
+      <tbody>
+        ${rows.map(([name, cell]) => `<tr><th>${name}</th><td>${cell(a.prime)}</td><td>${cell(a.continuation)}</td></tr>`).join('')}
+      </tbody>
+    </table>
+    ${histogramChart('Pitch classes', PITCH_CLASS_NAMES, a.prime.pitchClasses, a.continuation.pitchClasses)}
+    ${histogramChart('Velocity', DYNAMIC_MARKS, a.prime.velocity, a.continuation.velocity)}
+  `;
+}
+
+// Paired bars, prime then continuation, scaled to the taller of the two
+function histogramChart(title, labels, prime, continuation) {
+  const peak = Math.max(...prime, ...continuation) || 1;
+  const bar = (v, source) => `<span class="bar ${source}" style="height:${((v / peak) * 100).toFixed(1)}%"></span>`;
+  const bins = labels.map((name, i) => `
+    <div class="analysis-bin" title="${escapeHtml(name)}: prime ${(prime[i] * 100).toFixed(0)}%, continuation ${(continuation[i] * 100).toFixed(0)}%">
+      ${bar(prime[i], 'original')}${bar(continuation[i], 'continuation')}
+      <span class="bin-label">${escapeHtml(name)}</span>
+    </div>`).join('');
+  return `<div><span class="analysis-chart-title">${title}</span><div class="analysis-chart">${bins}</div></div>`;
+}
+
+// ── Deep links ──
+
+// Blind trials and local files can't be opened from a link
+function linkableTrack() {
+  const track = findTrack(currentTrackId);
+  return track && !track.local && !track.blind ? track : null;
+}
+
+function currentDeepLinkHash(time = player.getCurrentTime()) {
+  const track = linkableTrack();
+  if (!track) return null;
+  const comparing = compareMode && track.continuations.length >= 2;
+  return buildDeepLinkHash({
+    trackId: track.id,
+    variant: track.continuations[getVariant(track.id)].label,
+    time,
+    loop: loopRegion,
+    compareWith: comparing ? track.continuations[getCompareVariant(track)].label : null,
+  });
+}
+
+function updateDeepLink() {
+  $btnShare.disabled = !linkableTrack();
+  if (restoringDeepLink) return;
+  // Only an empty hash or a player link is ours to rewrite; a section
+  // anchor the visitor followed (#diagrams) stays put
+  const current = location.hash.replace(/^#/, '');
+  if (current && !parseDeepLinkHash(current)) return;
+  const hash = currentDeepLinkHash();
+  if (!hash && !current) return;
+  history.replaceState(null, '', hash || location.pathname + location.search);
+}
+
+async function restoreDeepLink() {
+  const link = parseDeepLinkHash(location.hash);
+  if (!link) return;
+  const track = tracks.find(t => t.id === link.trackId);
+  if (!track) {
+    showPlayerNotice(`The linked track "${link.trackId}" is not in the playlist`, 'error');
+    return;
+  }
+
+  if (blindMode) await setBlindMode(false);
+  const variant = track.continuations.findIndex(c => c.label === link.variant);
+  if (variant >= 0) selectedVariants.set(track.id, variant);
+  const compareWith = track.continuations.findIndex(c => c.label === link.compareWith);
+  if (compareWith >= 0) compareVariants.set(track.id, compareWith);
+  if (link.compare !== compareMode) await setCompareMode(link.compare);
+
+  // Browsers only let audio start after a gesture; until then, cue up paused
+  const canPlay = player.canAutoplay();
+  restoringDeepLink = true;
+  try {
+    await selectTrack(track.id, { startAt: link.time, autoplay: canPlay });
+    if (link.loop) setLoopRegion(link.loop);
+  } finally {
+    restoringDeepLink = false;
+  }
+  updateDeepLink();
+
+  document.getElementById('player').scrollIntoView({ behavior: 'smooth' });
+  if (!canPlay) {
+    showPlayerNotice(`Cued at ${formatTime(player.getCurrentTime())} \u2014 press play to listen`);
+  }
+}
+
+async function copyDeepLink() {
+  const hash = currentDeepLinkHash();
+  if (!hash) return;
+  history.replaceState(null, '', hash);
+  const url = location.href;
+  try {
+    await navigator.clipboard.writeText(url);
+    showPlayerNotice(`Link copied \u2014 opens at ${formatTime(player.getCurrentTime())}`);
+  } catch (err) {
+    console.warn('Clipboard write failed:', err);
+    showPlayerNotice('Could not copy the link \u2014 copy it from the address bar instead', 'error');
+  }
+  trackAnalyticsEvent('share', { track: currentTrackId });
+}
+
 // ── Track selection & playback ──
 
-async function selectTrack(trackId) {
-  const track = TRACKS.find(t => t.id === trackId);
+async function selectTrack(trackId, { startAt = 0, autoplay = true } = {}) {
+  const track = findTrack(trackId);
   if (!track) return;
+  if (recordMode) await setRecordMode(false);
 
+  // Switching variants keeps the loop so the same passage can be compared
+  if (trackId !== currentTrackId) loopRegion = null;
   currentTrackId = trackId;
+  currentAnalysis = null;
+  const variant = Math.min(getVariant(trackId), track.continuations.length - 1);
+  const comparing = compareMode && track.continuations.length >= 2;
+  if (track.blind) listeningTest.currentIndex = track.trialIndex;
   setActiveTrackUI(trackId, false);
+  renderVariantButtons();
+  renderCompareUI();
+  renderTestBar();
+  renderGenerateBar();
+  renderAnalysisPanel();
 
   // Show loading, hide empty state
   $pianoRollEmpty.style.display = 'none';
@@ -232,12 +1559,30 @@ async function selectTrack(trackId) {
   // Enable buttons
   $btnPlay.disabled = false;
   $btnStop.disabled = false;
+  $btnLoop.disabled = false;
+  updateExportButton();
 
   try {
-    const combinedUrl = track.continuations[currentVariant];
-    const { notes, duration, primeDuration, bpm, beatsPerBar } = await player.loadTrack(combinedUrl, track.prime);
+    const combinedSrc = track.continuations[variant].file;
+    let loaded;
+    if (comparing) {
+      const compareSrc = track.continuations[getCompareVariant(track)].file;
+      loaded = await player.loadComparison(combinedSrc, compareSrc, track.prime);
+    } else {
+      loaded = await player.loadTrack(combinedSrc, track.prime);
+    }
+    const { notes, duration, primeDuration, bpm, beatsPerBar, timing } = loaded;
 
-    pianoRoll.setNotes(notes, duration, primeDuration, bpm, beatsPerBar);
+    // Both panes get the longer duration so their time axes line up
+    pianoRoll.setNotes(notes, duration, primeDuration, bpm, beatsPerBar, timing);
+    pianoRoll.setPedals(loaded.pedals);
+    notationView.setNotes(notes, duration, primeDuration, pianoRoll.beats);
+    if (comparing) {
+      compareRoll.setNotes(loaded.compareNotes, duration, primeDuration, bpm, beatsPerBar, timing);
+      compareRoll.setPedals(loaded.comparePedals);
+    }
+    setLoopRegion(loopRegion);
+    updateFollowButton();
     $timeTotal.textContent = formatTime(duration);
     $timeCurrent.textContent = '0:00';
     $progressFill.style.width = '0%';
@@ -247,13 +1592,27 @@ async function selectTrack(trackId) {
 
     $loadingOverlay.classList.remove('visible');
 
-    trackAnalyticsEvent('track_select', { track: track.id, variant: currentVariant + 1 });
+    currentAnalysis = analyzeNotes(notes);
+    if (!track.blind) {
+      if (!variantScores.has(track.id)) variantScores.set(track.id, []);
+      variantScores.get(track.id)[variant] = currentAnalysis.divergence;
+    }
+    renderAnalysisPanel();
+    renderMixerPanel();
+    rankVariants(track);
+
+    trackAnalyticsEvent('track_select', { track: track.id, variant: variant + 1 });
 
-    // Auto-play
-    await player.play();
+    // Auto-play (from the previous position when toggling views)
+    if (startAt > 0) player.seek(startAt);
+    updateDeepLink();
+    if (autoplay) await player.play();
   } catch (err) {
     console.error('Error loading track:', err);
     $loadingOverlay.classList.remove('visible');
+    $pianoRollEmptyText.textContent = missingFiles.has(trackId)
+      ? `Missing MIDI file: ${missingFiles.get(trackId)[0]}`
+      : `Could not load ${track.composer} \u2014 ${track.title}`;
     $pianoRollEmpty.style.display = 'flex';
   }
 }
@@ -273,6 +1632,13 @@ function updatePlayPauseIcon(isPlaying) {
 }
 
 function onTimeUpdate(currentTime, duration) {
+  // Keep the link's playhead current without rewriting the URL every frame
+  const second = Math.floor(currentTime);
+  if (second !== linkedSecond) {
+    linkedSecond = second;
+    updateDeepLink();
+  }
+
   $timeCurrent.textContent = formatTime(currentTime);
   $miniTime.textContent = formatTime(currentTime);
   if (duration > 0) {
@@ -281,6 +1647,8 @@ function onTimeUpdate(currentTime, duration) {
     $miniProgressFill.style.width = pct;
   }
   pianoRoll.updateCursor(currentTime);
+  if (player.isComparing) compareRoll.updateCursor(currentTime);
+  notationView.updateCursor(currentTime);
 }
 
 // ── Sticky mini-player ──
@@ -321,25 +1689,160 @@ function updateMiniPlayer(currentTime, duration, isPlaying) {
 
 document.addEventListener('DOMContentLoaded', () => {
   // Init modules
-  player = new MidiPlayer();
-  pianoRoll = new PianoRoll('piano-roll', 'piano-roll-wrapper');
+  player = new MidiPlayer({ instrument: savedInstrument(), playbackRate: savedPlaybackRate(), sourceMix: savedSourceMix() });
+  pianoRoll = new PianoRoll('piano-roll', 'piano-roll-pane');
+  compareRoll = new PianoRoll('piano-roll-b', 'piano-roll-pane-b');
+  keyboardView = new KeyboardView('keyboard-view', 'keyboard-view-wrap');
+  notationView = new NotationView('notation-view', 'notation-pane');
+  recorder = new PrimeRecorder();
 
   // Wire callbacks
   player.onTimeUpdate = onTimeUpdate;
   player.onPlayStateChange = updatePlayPauseIcon;
   player.onLoadStart = () => $loadingOverlay.classList.add('visible');
   player.onLoadEnd = () => $loadingOverlay.classList.remove('visible');
+  player.onInstrumentChange = onInstrumentChange;
 
   pianoRoll.onSeek = (time) => player.seek(time);
+  compareRoll.onSeek = (time) => player.seek(time);
+  notationView.onSeek = (time) => player.seek(time);
+  pianoRoll.onLoopSelect = setLoopRegion;
+  compareRoll.onLoopSelect = setLoopRegion;
+  pianoRoll.onViewChange = (view) => onRollViewChange(pianoRoll, view);
+  compareRoll.onViewChange = (view) => onRollViewChange(compareRoll, view);
+  $btnFollow.addEventListener('click', () => pianoRoll.setFollow(!pianoRoll.followPlayhead));
+  $btnLoop.addEventListener('click', toggleSeamLoop);
+  $btnShare.addEventListener('click', copyDeepLink);
+  window.addEventListener('hashchange', restoreDeepLink);
 
-  // Render playlist
-  renderPlaylist();
+  // 88-key keyboard follows pane A
+  pianoRoll.onActiveNotes = (notes, pedals) => keyboardView.update(notes, pedals);
+  $btnKeyboard.addEventListener('click', () => setKeyboardVisible($keyboardWrap.hidden));
+  if (savedKeyboardVisible()) setKeyboardVisible(true);
 
-  // Variant buttons
-  $variantBtns.forEach((btn, i) => {
-    btn.addEventListener('click', () => selectVariant(i));
+  // Estimated chords and key changes above the notes
+  $btnHarmony.addEventListener('click', () => setHarmonyVisible(!pianoRoll.showHarmony));
+  if (savedHarmonyVisible()) setHarmonyVisible(true);
+
+  // Staff notation in place of the roll
+  $btnNotation.addEventListener('click', () => setNotationVisible(!notationVisible()));
+  if (savedNotationVisible()) setNotationVisible(true);
+
+  // Load manifest & render playlist
+  initPlaylist();
+
+  // Local MIDI files: drop onto the piano roll or pick via the playlist button
+  initLocalFileInput({
+    dropTarget: $pianoRollWrapper,
+    input: $localFileInput,
+    onFiles: addLocalFiles,
+  });
+
+  // Instrument picker
+  renderInstrumentSelect();
+  $instrumentSelect.addEventListener('change', () => selectInstrument($instrumentSelect.value));
+
+  // Web MIDI output, where the browser has it
+  $outputSelect.hidden = !navigator.requestMIDIAccess;
+  renderOutputSelect();
+  $outputSelect.addEventListener('change', () => selectOutput($outputSelect.value));
+
+  // Playback speed (the player keeps it across track changes)
+  $speedSelect.value = String(player.playbackRate);
+  $speedSelect.addEventListener('change', () => selectPlaybackRate(Number($speedSelect.value)));
+
+  // Export menu
+  $btnExport.addEventListener('click', (e) => {
+    e.stopPropagation();
+    setExportMenuOpen($exportMenuList.hidden);
+  });
+  $exportMenuList.querySelectorAll('[data-export]').forEach(item => {
+    item.addEventListener('click', () => {
+      setExportMenuOpen(false);
+      runExport(item.dataset.export);
+    });
+  });
+  $exportMenuList.addEventListener('keydown', (e) => {
+    const items = Array.from($exportMenuList.querySelectorAll('[role="menuitem"]:not(:disabled)'));
+    const i = items.indexOf(document.activeElement);
+    if (e.key === 'Escape') {
+      setExportMenuOpen(false);
+      $btnExport.focus();
+    } else if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && e.target !== $exportGrid) {
+      e.preventDefault();
+      e.stopPropagation();
+      const next = (i + (e.key === 'ArrowDown' ? 1 : -1) + items.length) % items.length;
+      items[next].focus();
+    }
+  });
+  document.addEventListener('click', (e) => {
+    if (!$exportMenuList.hidden && !$exportMenuList.contains(e.target)) setExportMenuOpen(false);
   });
-  updateVariantUI();
+  const exportGrid = savedExportGrid();
+  if ([...$exportGrid.options].some(o => o.value === exportGrid)) $exportGrid.value = exportGrid;
+  $exportGrid.addEventListener('change', () => {
+    try { localStorage.setItem(EXPORT_GRID_STORAGE_KEY, $exportGrid.value); } catch (err) {}
+  });
+
+  // Comparison mode
+  $btnCompare.addEventListener('click', () => setCompareMode(!compareMode));
+  $compareSelect.addEventListener('change', () => selectCompareVariant(Number($compareSelect.value)));
+  $compareCrossfade.addEventListener('input', () => setCrossfade($compareCrossfade.value / 100));
+  document.querySelectorAll('.compare-solo').forEach(btn => {
+    btn.addEventListener('click', () => setCrossfade(Number(btn.dataset.solo)));
+  });
+  renderCompareUI();
+
+  // Blind listening test
+  $btnBlind.addEventListener('click', () => setBlindMode(!blindMode));
+  document.querySelectorAll('.test-choice-btn').forEach(btn => {
+    btn.addEventListener('click', () => rateCurrentTrial({ preference: btn.dataset.pref }));
+  });
+  $testRatingA.addEventListener('change', () => rateCurrentTrial({ ratingA: Number($testRatingA.value) || null }));
+  $testRatingB.addEventListener('change', () => rateCurrentTrial({ ratingB: Number($testRatingB.value) || null }));
+  $testNext.addEventListener('click', nextTrial);
+  $testParticipant.addEventListener('change', () => {
+    listeningTest.session.participant = $testParticipant.value.trim();
+    listeningTest.save();
+  });
+  $testExportJson.addEventListener('click', () => exportTestResults('json'));
+  $testExportCsv.addEventListener('click', () => exportTestResults('csv'));
+  document.getElementById('test-end').addEventListener('click', endTest);
+  document.getElementById('test-exit').addEventListener('click', () => setBlindMode(false));
+
+  // Prime recorder: MIDI or on-screen input, monitored through the player
+  recorder.onNote = (midi, velocity) => player.liveNote(midi, velocity);
+  recorder.onSustain = (down) => player.liveSustain(down);
+  recorder.onUpdate = onRecordingUpdate;
+  keyboardView.onKeyDown = (midi, velocity) => recorder.noteOn(midi, velocity);
+  keyboardView.onKeyUp = (midi) => recorder.noteOff(midi);
+  $btnRecord.addEventListener('click', () => setRecordMode(!recordMode));
+  $recordToggle.addEventListener('click', toggleRecording);
+  $recordMetronome.addEventListener('change', () => { recorder.metronome = $recordMetronome.checked; });
+  $recordQuantize.addEventListener('change', () => {
+    if (recordedTake && !recorder.isRecording) loadRecordedTake();
+  });
+  $recordSave.addEventListener('click', saveRecordedTake);
+  document.getElementById('record-exit').addEventListener('click', () => setRecordMode(false));
+
+  // Continuation generator
+  $generateEndpoint.value = savedGenerationEndpoint();
+  $btnGenerate.addEventListener('click', () => setGenerateBarOpen(!generateBarOpen));
+  $generateRun.addEventListener('click', runGeneration);
+  $generateCancel.addEventListener('click', () => {
+    if (generationController) generationController.abort();
+  });
+  renderGenerateBar();
+
+  // Prime vs continuation statistics
+  $btnAnalysis.addEventListener('click', () => setAnalysisOpen(!analysisOpen));
+  $btnMixer.addEventListener('click', () => setMixerOpen(!mixerOpen));
+  $mixerBody.addEventListener('click', onMixerClick);
+  $mixerBody.addEventListener('input', onMixerInput);
+
+  // Variant selector (buttons are rendered per track)
+  $variantButtons.addEventListener('keydown', onVariantKeydown);
+  renderVariantButtons();
 
   // Play/Pause button
   $btnPlay.addEventListener('click', async () => {
@@ -354,6 +1857,8 @@ document.addEventListener('DOMContentLoaded', () => {
   $btnStop.addEventListener('click', () => {
     player.stop();
     pianoRoll.updateCursor(0);
+    if (player.isComparing) compareRoll.updateCursor(0);
+    notationView.updateCursor(0);
     if (currentTrackId) {
       trackAnalyticsEvent('stop', { track: currentTrackId });
     }
@@ -369,12 +1874,14 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // Keyboard shortcuts
   document.addEventListener('keydown', (e) => {
-    // Only when not typing in an input
-    if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+    // Only when not typing in an input or choosing from a dropdown
+    if (e.target.closest('input, textarea, select')) return;
+    // A focused button presses on Space; leave that to it
+    if (e.code === 'Space' && e.target.closest('button')) return;
 
     if (e.code === 'Space') {
       e.preventDefault();
-      if (player.notes.length === 0) return;
+      if (player.notes.length === 0 || recorder.isRecording) return;
       if (player.isPlaying) player.pause();
       else player.play();
     } else if (e.code === 'ArrowRight') {
@@ -383,6 +1890,26 @@ document.addEventListener('DOMContentLoaded', () => {
     } else if (e.code === 'ArrowLeft') {
       e.preventDefault();
       player.seek(player.getCurrentTime() - 5);
+    } else if (e.code === 'KeyL' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      toggleSeamLoop();
+    } else if (e.code === 'Escape') {
+      pianoRoll.clearSelection();
+      compareRoll.clearSelection();
+    } else if (e.code === 'KeyK' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      setKeyboardVisible($keyboardWrap.hidden);
+    } else if (e.code === 'KeyH' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      setHarmonyVisible(!pianoRoll.showHarmony);
+    } else if (e.code === 'KeyM' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      if (!blindMode) setMixerOpen(!mixerOpen);
+    } else if (e.code === 'KeyN' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      setNotationVisible(!notationVisible());
+    } else if (e.code === 'KeyF' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      pianoRoll.setFollow(!pianoRoll.followPlayhead);
+    } else if ((e.code === 'Equal' || e.code === 'Minus') && !e.ctrlKey && !e.metaKey) {
+      pianoRoll.zoomBy(e.code === 'Equal' ? 1.25 : 0.8);
+    } else if (/^Digit[1-9]$/.test(e.code) && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      // 1–9 pick a continuation of the current track
+      selectVariant(Number(e.code.slice(5)) - 1);
     }
   });
 
@@ -0,0 +1,50 @@
+/* ═══════════════════════════════════════════
+   DEEP LINKS — Player state in the URL hash
+   Encodes track, variant, playhead, loop region
+   and view mode so a moment can be shared, e.g.
+   #track=satie-gnossienne&v=B&t=42.0
+   Hashes without a track are left to the page's
+   own section anchors (#player, #diagrams).
+   ═══════════════════════════════════════════ */
+
+/* state: { trackId, variant, time, loop, compareWith }
+   Variants are referenced by label, which stays put when a
+   generation run adds files, rather than by index. */
+
+function buildDeepLinkHash({ trackId, variant = null, time = 0, loop = null, compareWith = null }) {
+  const params = new URLSearchParams();
+  params.set('track', trackId);
+  if (variant) params.set('v', variant);
+  if (time > 0) params.set('t', time.toFixed(1));
+  if (loop) params.set('loop', `${loop.start.toFixed(2)}-${loop.end.toFixed(2)}`);
+  if (compareWith) {
+    params.set('view', 'compare');
+    params.set('b', compareWith);
+  }
+  return `#${params.toString()}`;
+}
+
+// Null for hashes that are not player links
+function parseDeepLinkHash(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const trackId = params.get('track');
+  if (!trackId) return null;
+
+  const loopMatch = /^(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)$/.exec(params.get('loop') || '');
+  return {
+    trackId,
+    variant: params.get('v'),
+    time: parseLinkTime(params.get('t')),
+    loop: loopMatch ? { start: Number(loopMatch[1]), end: Number(loopMatch[2]) } : null,
+    compare: params.get('view') === 'compare',
+    compareWith: params.get('b'),
+  };
+}
+
+// Seconds, or m:ss for links typed by hand ("t=0:42")
+function parseLinkTime(value) {
+  if (!value) return 0;
+  const clock = /^(\d+):([0-5]?\d(?:\.\d+)?)$/.exec(value);
+  const seconds = clock ? Number(clock[1]) * 60 + Number(clock[2]) : Number(value);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : 0;
+}
@@ -0,0 +1,206 @@
+/* ═══════════════════════════════════════════
+   GENERATION CLIENT — Live continuation backend
+   Sends a prime and sampling parameters to a
+   configurable HTTP generation server and reads
+   back new continuations as parsed MIDI, with
+   progress, cancellation and a timeout.
+   ═══════════════════════════════════════════ */
+
+const GENERATION_TIMEOUT_MS = 10 * 60 * 1000; // sampling long continuations on a CPU is slow
+
+// Mirrors the sampler in the architecture diagram: FSM-masked top-p
+const SAMPLING_LIMITS = {
+  temperature: { min: 0.1, max: 2, default: 1 },
+  topP: { min: 0.01, max: 1, default: 0.95 },
+  length: { min: 16, max: 4096, default: 512 }, // tokens to generate
+  count: { min: 1, max: 8, default: 2 },
+};
+
+class GenerationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GenerationError';
+  }
+}
+
+/* ── Protocol ──
+   POST <endpoint> with a JSON body:
+     { "prime": "<base64 .mid>", "temperature": 1.0, "top_p": 0.95,
+       "length": 512, "seed": 1234 | null, "num_samples": 2 }
+   The reply is JSON:
+     { "continuations": [{ "midi": "<base64 .mid>", "seed": 1234 }, ...] }
+   or, to report progress, NDJSON: any number of { "progress": 0–1 }
+   lines followed by that same object. Each continuation file holds the
+   prime followed by the generated notes, like public_gens/*_clean_N.mid.
+   Failures are a non-2xx status or { "error": "message" }.
+   tests/stub-generation-server.js answers in every one of these shapes. */
+
+async function requestContinuations(endpoint, prime, params, { onProgress = null, signal = null } = {}) {
+  const sampling = normalizeSampling(params);
+  const body = JSON.stringify({
+    prime: bytesToBase64(await primeBytes(prime)),
+    temperature: sampling.temperature,
+    top_p: sampling.topP,
+    length: sampling.length,
+    seed: sampling.seed,
+    num_samples: sampling.count,
+  });
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), GENERATION_TIMEOUT_MS);
+  const cancel = () => controller.abort();
+  if (signal) signal.addEventListener('abort', cancel);
+
+  let reply;
+  try {
+    let response;
+    try {
+      response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/x-ndjson, application/json' },
+        body,
+        signal: controller.signal,
+      });
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      throw new GenerationError(`Could not reach ${endpoint}: ${err.message}`);
+    }
+    if (!response.ok) {
+      const detail = await errorDetail(response);
+      throw new GenerationError(`${endpoint} answered HTTP ${response.status}${detail ? `: ${detail}` : ''}`);
+    }
+    reply = await readGenerationReply(response, onProgress);
+  } catch (err) {
+    if (err.name !== 'AbortError') throw err;
+    throw new GenerationError(signal && signal.aborted
+      ? 'Generation was cancelled'
+      : `No reply from ${endpoint} after ${GENERATION_TIMEOUT_MS / 60000} minutes`);
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', cancel);
+  }
+
+  return decodeContinuations(reply, sampling);
+}
+
+// Clamps each parameter into range; a missing or blank seed means "server picks"
+function normalizeSampling(params = {}) {
+  const pick = (key) => {
+    const { min, max } = SAMPLING_LIMITS[key];
+    const v = Number(params[key]);
+    return Number.isFinite(v) ? Math.max(min, Math.min(max, v)) : SAMPLING_LIMITS[key].default;
+  };
+  const seed = params.seed === null || params.seed === undefined || params.seed === '' ? null : Number(params.seed);
+  return {
+    temperature: pick('temperature'),
+    topP: pick('topP'),
+    length: Math.round(pick('length')),
+    count: Math.round(pick('count')),
+    seed: Number.isInteger(seed) ? seed : null,
+  };
+}
+
+/* ── Reply handling ── */
+
+async function readGenerationReply(response, onProgress) {
+  const type = response.headers.get('Content-Type') || '';
+  if (!type.includes('ndjson')) return parseReplyJson(await response.text());
+
+  let result = null;
+  const handleLine = (line) => {
+    if (!line.trim()) return;
+    const message = parseReplyJson(line);
+    if (typeof message.progress === 'number' && onProgress) {
+      onProgress(Math.max(0, Math.min(1, message.progress)));
+    }
+    if (message.continuations || message.error) result = message;
+  };
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffered += decoder.decode(value, { stream: true });
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+    lines.forEach(handleLine);
+  }
+  handleLine(buffered);
+
+  if (!result) throw new GenerationError('The generation server closed the stream without any continuations');
+  return result;
+}
+
+function decodeContinuations(reply, sampling) {
+  if (reply.error) throw new GenerationError(`Generation failed: ${reply.error}`);
+  if (!Array.isArray(reply.continuations) || reply.continuations.length === 0) {
+    throw new GenerationError('The generation server returned no continuations');
+  }
+  return reply.continuations.map((c, i) => {
+    let midi;
+    try {
+      midi = new Midi(base64ToBytes(c.midi));
+    } catch (err) {
+      throw new GenerationError(`Continuation ${i + 1} from the server is not a valid MIDI file`);
+    }
+    const seed = Number.isInteger(c.seed) ? c.seed : sampling.seed;
+    return { midi, params: { ...sampling, seed } };
+  });
+}
+
+function parseReplyJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new GenerationError('The generation server sent a reply that is not JSON');
+  }
+}
+
+// Best-effort reason from an error response, for the notice
+async function errorDetail(response) {
+  try {
+    const text = await response.text();
+    try {
+      const json = JSON.parse(text);
+      if (json && json.error) return String(json.error);
+    } catch (err) {
+      // Plain-text error body
+    }
+    return text.trim().slice(0, 200);
+  } catch (err) {
+    return '';
+  }
+}
+
+/* ── Encoding ── */
+
+// Primes are URLs in the manifest, parsed Midi objects for local tracks
+async function primeBytes(prime) {
+  if (prime instanceof Midi) return prime.toArray();
+  let response;
+  try {
+    response = await fetch(prime);
+  } catch (err) {
+    throw new GenerationError(`Could not read the prime ${prime}: ${err.message}`);
+  }
+  if (!response.ok) throw new GenerationError(`Could not read the prime ${prime} (HTTP ${response.status})`);
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  // Chunked so large files stay under the argument limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
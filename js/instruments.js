@@ -0,0 +1,140 @@
+/* ═══════════════════════════════════════════
+   INSTRUMENTS — Pluggable playback voices
+   Registry of sampled and synthesized pianos.
+   Sampled instruments try a self-hosted copy
+   under samples/ before the public CDN, and
+   fall back to a built-in PolySynth offline.
+   ═══════════════════════════════════════════ */
+
+const INSTRUMENT_REGISTRY = new Map();
+const DEFAULT_INSTRUMENT = 'grand';
+const SAMPLE_LOAD_TIMEOUT_MS = 15000;
+
+function registerInstrument(id, def) {
+  INSTRUMENT_REGISTRY.set(id, { id, ...def });
+}
+
+function listInstruments() {
+  return Array.from(INSTRUMENT_REGISTRY.values());
+}
+
+/* ── Built-in instruments ──
+   Sampled definitions list candidate base URLs in priority order. To run
+   fully offline, copy the Salamander mp3s into samples/salamander/. */
+
+registerInstrument('grand', {
+  name: 'Grand piano',
+  samples: {
+    baseUrls: ['samples/salamander/', 'https://tonejs.github.io/audio/salamander/'],
+    urls: {
+      A0: 'A0.mp3', C1: 'C1.mp3', 'D#1': 'Ds1.mp3', 'F#1': 'Fs1.mp3',
+      A1: 'A1.mp3', C2: 'C2.mp3', 'D#2': 'Ds2.mp3', 'F#2': 'Fs2.mp3',
+      A2: 'A2.mp3', C3: 'C3.mp3', 'D#3': 'Ds3.mp3', 'F#3': 'Fs3.mp3',
+      A3: 'A3.mp3', C4: 'C4.mp3', 'D#4': 'Ds4.mp3', 'F#4': 'Fs4.mp3',
+      A4: 'A4.mp3', C5: 'C5.mp3', 'D#5': 'Ds5.mp3', 'F#5': 'Fs5.mp3',
+      A5: 'A5.mp3', C6: 'C6.mp3', 'D#6': 'Ds6.mp3', 'F#6': 'Fs6.mp3',
+      A6: 'A6.mp3', C7: 'C7.mp3', 'D#7': 'Ds7.mp3', 'F#7': 'Fs7.mp3',
+      A7: 'A7.mp3', C8: 'C8.mp3',
+    },
+    release: 1.5,
+  },
+});
+
+registerInstrument('electric', {
+  name: 'Electric piano',
+  synth: () => new Tone.PolySynth(Tone.FMSynth, {
+    maxPolyphony: 64,
+    volume: -10,
+    harmonicity: 3,
+    modulationIndex: 12,
+    oscillator: { type: 'sine' },
+    modulation: { type: 'sine' },
+    envelope: { attack: 0.002, decay: 1.4, sustain: 0.15, release: 1.2 },
+    modulationEnvelope: { attack: 0.002, decay: 0.6, sustain: 0.1, release: 0.8 },
+  }),
+});
+
+registerInstrument('sine', {
+  name: 'Pure sine',
+  synth: () => new Tone.PolySynth(Tone.Synth, {
+    maxPolyphony: 64,
+    volume: -8,
+    oscillator: { type: 'sine' },
+    envelope: { attack: 0.005, decay: 0.1, sustain: 0.8, release: 0.3 },
+  }),
+});
+
+// Used whenever samples can't be reached
+function createFallbackSynth() {
+  return new Tone.PolySynth(Tone.Synth, {
+    maxPolyphony: 64,
+    volume: -10,
+    oscillator: { type: 'triangle' },
+    envelope: { attack: 0.003, decay: 0.8, sustain: 0.2, release: 1.2 },
+  });
+}
+
+/* ── Construction ──
+   Resolves to { instrument, fellBack }. The instrument is not connected;
+   the caller routes it. */
+
+async function createInstrument(id) {
+  const def = INSTRUMENT_REGISTRY.get(id) || INSTRUMENT_REGISTRY.get(DEFAULT_INSTRUMENT);
+  if (!def.samples) return { instrument: def.synth(), fellBack: false };
+
+  const baseUrl = await resolveSampleBaseUrl(def.samples);
+  if (baseUrl) {
+    try {
+      const instrument = await loadSampler(def.samples, baseUrl);
+      return { instrument, fellBack: false };
+    } catch (err) {
+      console.warn(`Samples for "${def.id}" failed to load from ${baseUrl}:`, err);
+    }
+  }
+  return { instrument: createFallbackSynth(), fellBack: true };
+}
+
+// Probes one sample per candidate so a missing local copy costs a single request
+const _sampleBaseCache = new Map();
+
+function resolveSampleBaseUrl(samples) {
+  const key = samples.baseUrls.join('|');
+  if (!_sampleBaseCache.has(key)) {
+    const probeFile = Object.values(samples.urls)[0];
+    _sampleBaseCache.set(key, (async () => {
+      for (const baseUrl of samples.baseUrls) {
+        try {
+          const response = await fetch(baseUrl + probeFile, { method: 'HEAD' });
+          if (response.ok) return baseUrl;
+        } catch (err) {
+          // Offline or blocked — try the next candidate
+        }
+      }
+      return null;
+    })());
+  }
+  return _sampleBaseCache.get(key);
+}
+
+function loadSampler(samples, baseUrl) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      sampler.dispose();
+      reject(new Error('timed out'));
+    }, SAMPLE_LOAD_TIMEOUT_MS);
+    const sampler = new Tone.Sampler({
+      urls: samples.urls,
+      release: samples.release,
+      baseUrl,
+      onload: () => {
+        clearTimeout(timer);
+        resolve(sampler);
+      },
+      onerror: (err) => {
+        clearTimeout(timer);
+        sampler.dispose();
+        reject(err);
+      },
+    });
+  });
+}
@@ -0,0 +1,250 @@
+/* ═══════════════════════════════════════════
+   KEYBOARD VIEW — 88-key held-note display
+   Full-width piano under the roll that lights
+   the keys currently held (prime vs continuation)
+   and shows sustain and soft pedal state. Fed by
+   PianoRoll's per-frame active-note set. Can be
+   played with the pointer when made playable.
+   ═══════════════════════════════════════════ */
+
+const KEYBOARD_LOWEST = 21;  // A0
+const KEYBOARD_HIGHEST = 108; // C8
+
+class KeyboardView {
+  constructor(canvasId, wrapperId) {
+    this.canvas = document.getElementById(canvasId);
+    this.wrapper = document.getElementById(wrapperId);
+    this.ctx = this.canvas.getContext('2d');
+
+    this.active = new Map(); // midi → source ('continuation' wins ties)
+    this.pedals = { sustain: null, soft: null }; // source of the pedal held, or null
+    this._stateKey = '';
+
+    this.pedalPanelWidth = 64;
+
+    // White-key position of every key from A0, for layout
+    this._whiteIndexOf = new Map();
+    this._whiteKeys = [];
+    for (let midi = KEYBOARD_LOWEST; midi <= KEYBOARD_HIGHEST; midi++) {
+      this._whiteIndexOf.set(midi, this._whiteKeys.length);
+      if (!this._isBlackKey(midi)) this._whiteKeys.push(midi);
+    }
+
+    // Pointer playing, for recording without a MIDI keyboard
+    this.playable = false;
+    this.onKeyDown = null; // (midi, velocity)
+    this.onKeyUp = null; // (midi)
+    this._pressed = null;
+
+    this.colors = {
+      bg:           '#0f1115',
+      whiteKey:     '#d9dce2',
+      blackKey:     '#1a1d24',
+      keyBorder:    'rgba(0, 0, 0, 0.35)',
+      label:        'rgba(255, 255, 255, 0.28)',
+      pedalOff:     'rgba(255, 255, 255, 0.06)',
+      original:     { h: 222, s: 90, l: 70 },
+      continuation: { h: 172, s: 65, l: 60 },
+    };
+
+    this._dpr = window.devicePixelRatio || 1;
+    this.displayWidth = 0;
+    this.displayHeight = 0;
+
+    this._onResize = () => this.resize();
+    window.addEventListener('resize', this._onResize);
+
+    this.canvas.addEventListener('pointerdown', (e) => this._onPointerDown(e));
+    this.canvas.addEventListener('pointermove', (e) => this._onPointerMove(e));
+    this.canvas.addEventListener('pointerup', () => this._release());
+    this.canvas.addEventListener('pointercancel', () => this._release());
+  }
+
+  /* ── Public API ── */
+
+  // notes: [{ midi, source }] sounding now; pedals: { sustain, soft } sources or null
+  update(notes, pedals = { sustain: null, soft: null }) {
+    const active = new Map();
+    for (const note of notes) {
+      if (active.get(note.midi) !== 'continuation') active.set(note.midi, note.source);
+    }
+
+    // Skip the redraw when nothing changed since the last frame
+    const key = [...active].map(([midi, source]) => `${midi}${source[0]}`).join(',') +
+      `|${pedals.sustain}|${pedals.soft}`;
+    if (key === this._stateKey) return;
+    this._stateKey = key;
+    this.active = active;
+    this.pedals = pedals;
+    if (!this.wrapper.hidden) this.render();
+  }
+
+  // Call after the wrapper is shown or its size changes
+  resize() {
+    if (this.wrapper.hidden) return;
+    const rect = this.wrapper.getBoundingClientRect();
+    this._dpr = window.devicePixelRatio || 1;
+    this.canvas.width = rect.width * this._dpr;
+    this.canvas.height = rect.height * this._dpr;
+    this.ctx.setTransform(this._dpr, 0, 0, this._dpr, 0, 0);
+    this.displayWidth = rect.width;
+    this.displayHeight = rect.height;
+    this.render();
+  }
+
+  /* ── Rendering ── */
+
+  render() {
+    const ctx = this.ctx;
+    const w = this.displayWidth;
+    const h = this.displayHeight;
+    if (!w || !h) return;
+
+    ctx.fillStyle = this.colors.bg;
+    ctx.fillRect(0, 0, w, h);
+
+    const keysW = w - this.pedalPanelWidth;
+    this._drawKeys(ctx, keysW, h);
+    this._drawPedals(ctx, keysW, h);
+  }
+
+  _geometry() {
+    const keysW = this.displayWidth - this.pedalPanelWidth;
+    const whiteW = keysW / this._whiteKeys.length;
+    return { keysW, whiteW, blackW: whiteW * 0.6, blackH: this.displayHeight * 0.62 };
+  }
+
+  _drawKeys(ctx, keysW, h) {
+    const { whiteW, blackW, blackH } = this._geometry();
+
+    // White keys first, then black keys over their edges
+    for (let midi = KEYBOARD_LOWEST; midi <= KEYBOARD_HIGHEST; midi++) {
+      if (this._isBlackKey(midi)) continue;
+      const x = this._whiteIndex(midi) * whiteW;
+      const source = this._sourceOf(midi);
+      ctx.fillStyle = source ? this._keyFill(source) : this.colors.whiteKey;
+      ctx.fillRect(x, 0, whiteW, h);
+      ctx.strokeStyle = this.colors.keyBorder;
+      ctx.lineWidth = 1;
+      ctx.strokeRect(x + 0.5, -0.5, whiteW, h);
+
+      if (midi % 12 === 0 && whiteW >= 10) {
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+        ctx.font = '8px "JetBrains Mono", monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(`C${Math.floor(midi / 12) - 1}`, x + whiteW / 2, h - 2);
+      }
+    }
+
+    for (let midi = KEYBOARD_LOWEST; midi <= KEYBOARD_HIGHEST; midi++) {
+      if (!this._isBlackKey(midi)) continue;
+      // Black keys straddle the boundary after the white key below them
+      const x = (this._whiteIndex(midi - 1) + 1) * whiteW - blackW / 2;
+      const source = this._sourceOf(midi);
+      ctx.fillStyle = source ? this._keyFill(source) : this.colors.blackKey;
+      ctx.fillRect(x, 0, blackW, blackH);
+    }
+  }
+
+  _drawPedals(ctx, keysW, h) {
+    const pads = [
+      { label: 'Ped.', source: this.pedals.sustain },
+      { label: 'U.C.', source: this.pedals.soft },
+    ];
+    const padH = (h - 12) / pads.length;
+
+    pads.forEach((pad, i) => {
+      const x = keysW + 8;
+      const y = 4 + i * (padH + 4);
+      ctx.fillStyle = pad.source ? this._keyFill(pad.source) : this.colors.pedalOff;
+      ctx.fillRect(x, y, this.pedalPanelWidth - 12, padH);
+      ctx.fillStyle = pad.source ? 'rgba(0, 0, 0, 0.7)' : this.colors.label;
+      ctx.font = '9px "JetBrains Mono", monospace';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(pad.label, x + (this.pedalPanelWidth - 12) / 2, y + padH / 2);
+    });
+  }
+
+  /* ── Pointer playing ── */
+
+  _onPointerDown(e) {
+    if (!this.playable || e.button !== 0) return;
+    const key = this._keyAt(e);
+    if (!key) return;
+    this.canvas.setPointerCapture(e.pointerId);
+    this._press(key);
+  }
+
+  // Dragging across the keys plays a glissando
+  _onPointerMove(e) {
+    if (this._pressed === null) return;
+    const key = this._keyAt(e);
+    if (key && key.midi !== this._pressed) {
+      this._release();
+      this._press(key);
+    }
+  }
+
+  _press({ midi, velocity }) {
+    this._pressed = midi;
+    if (this.onKeyDown) this.onKeyDown(midi, velocity);
+    this.render();
+  }
+
+  _release() {
+    if (this._pressed === null) return;
+    const midi = this._pressed;
+    this._pressed = null;
+    if (this.onKeyUp) this.onKeyUp(midi);
+    this.render();
+  }
+
+  // Key under the pointer; striking nearer the front edge plays louder
+  _keyAt(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    const x = e.clientX - rect.left;
+    const y = e.clientY - rect.top;
+    const { keysW, whiteW, blackW, blackH } = this._geometry();
+    if (x < 0 || x >= keysW || y < 0 || y > this.displayHeight) return null;
+
+    let midi = null;
+    if (y < blackH) {
+      for (let m = KEYBOARD_LOWEST + 1; m <= KEYBOARD_HIGHEST; m++) {
+        if (!this._isBlackKey(m)) continue;
+        const left = (this._whiteIndex(m - 1) + 1) * whiteW - blackW / 2;
+        if (x >= left && x < left + blackW) midi = m;
+      }
+    }
+    if (midi === null) midi = this._whiteKeys[Math.min(this._whiteKeys.length - 1, Math.floor(x / whiteW))];
+
+    const depth = y / (this._isBlackKey(midi) ? blackH : this.displayHeight);
+    return { midi, velocity: 0.3 + 0.6 * Math.min(1, depth) };
+  }
+
+  /* ── Helpers ── */
+
+  _sourceOf(midi) {
+    return midi === this._pressed ? 'original' : this.active.get(midi);
+  }
+
+  _keyFill(source) {
+    const pal = this.colors[source];
+    return `hsl(${pal.h}, ${pal.s}%, ${pal.l}%)`;
+  }
+
+  // Position of a white key counted from A0
+  _whiteIndex(midi) {
+    return this._whiteIndexOf.get(midi);
+  }
+
+  _isBlackKey(midi) {
+    const pc = midi % 12;
+    return pc === 1 || pc === 3 || pc === 6 || pc === 8 || pc === 10;
+  }
+
+  destroy() {
+    window.removeEventListener('resize', this._onResize);
+  }
+}
@@ -0,0 +1,185 @@
+/* ═══════════════════════════════════════════
+   LISTENING TEST — Blind A/B evaluation
+   Builds shuffled trials from the manifest,
+   records ratings, and keeps the session in
+   localStorage until it has been downloaded.
+   ═══════════════════════════════════════════ */
+
+const LISTENING_TEST_STORAGE_KEY = 'continuo.listeningTest';
+
+class ListeningTest {
+  constructor(session) {
+    this.session = session;
+  }
+
+  /* ── Session lifecycle ── */
+
+  // One trial per track. When a human ground truth exists it is pitted
+  // against a random continuation; otherwise two continuations are drawn.
+  // Which stimulus is presented as A or B is shuffled, as is trial order.
+  static create(tracks) {
+    const trials = [];
+    for (const track of tracks) {
+      if (track.local) continue;
+
+      // Continuations generated this session only live in memory
+      const model = shuffle(track.continuations.filter(c => !c.generated).map(c => ({
+        kind: 'model', file: c.file, label: c.label,
+      })));
+      let pair;
+      if (track.groundTruth) {
+        pair = [model[0], { kind: 'human', file: track.groundTruth, label: 'human' }];
+      } else if (model.length >= 2) {
+        pair = model.slice(0, 2);
+      } else {
+        continue;
+      }
+
+      const [a, b] = shuffle(pair);
+      trials.push({
+        trackId: track.id,
+        composer: track.composer,
+        title: track.title,
+        prime: track.prime,
+        a,
+        b,
+        preference: null, // 'A' | 'B'
+        ratingA: null,    // 1–5
+        ratingB: null,
+        answeredAt: null,
+      });
+    }
+
+    const test = new ListeningTest({
+      id: `lt-${Date.now().toString(36)}`,
+      participant: '',
+      startedAt: new Date().toISOString(),
+      currentIndex: 0,
+      trials: shuffle(trials).map((t, i) => ({ index: i + 1, ...t })),
+    });
+    test.save();
+    return test;
+  }
+
+  static restore() {
+    try {
+      const raw = localStorage.getItem(LISTENING_TEST_STORAGE_KEY);
+      if (!raw) return null;
+      const session = JSON.parse(raw);
+      if (!session || !Array.isArray(session.trials)) return null;
+      return new ListeningTest(session);
+    } catch (err) {
+      console.warn('Discarding unreadable listening-test session:', err);
+      return null;
+    }
+  }
+
+  save() {
+    try {
+      localStorage.setItem(LISTENING_TEST_STORAGE_KEY, JSON.stringify(this.session));
+    } catch (err) {
+      console.warn('Could not persist listening-test session:', err);
+    }
+  }
+
+  // Called once results have been downloaded
+  discard() {
+    localStorage.removeItem(LISTENING_TEST_STORAGE_KEY);
+  }
+
+  /* ── Trials ── */
+
+  get trials() {
+    return this.session.trials;
+  }
+
+  get currentIndex() {
+    return this.session.currentIndex;
+  }
+
+  set currentIndex(i) {
+    this.session.currentIndex = Math.max(0, Math.min(i, this.trials.length - 1));
+    this.save();
+  }
+
+  get answeredCount() {
+    return this.trials.filter(t => t.preference).length;
+  }
+
+  get isComplete() {
+    return this.answeredCount === this.trials.length;
+  }
+
+  // Presents a trial as a regular two-continuation track so the
+  // normal selectTrack()/selectVariant() flow can play it.
+  trialTrack(i) {
+    const trial = this.trials[i];
+    return {
+      id: `trial-${trial.index}`,
+      composer: `Trial ${trial.index}`,
+      title: `${trial.composer} \u2014 ${trial.title}`,
+      prime: trial.prime,
+      continuations: [
+        { file: trial.a.file, label: 'A' },
+        { file: trial.b.file, label: 'B' },
+      ],
+      blind: true,
+      trialIndex: i,
+    };
+  }
+
+  rate(i, { preference, ratingA, ratingB }) {
+    const trial = this.trials[i];
+    if (preference !== undefined) trial.preference = preference;
+    if (ratingA !== undefined) trial.ratingA = ratingA;
+    if (ratingB !== undefined) trial.ratingB = ratingB;
+    trial.answeredAt = trial.preference ? new Date().toISOString() : null;
+    this.save();
+  }
+
+  nextUnanswered(after = this.currentIndex) {
+    const n = this.trials.length;
+    for (let step = 1; step <= n; step++) {
+      const i = (after + step) % n;
+      if (!this.trials[i].preference) return i;
+    }
+    return -1;
+  }
+
+  /* ── Export ── */
+
+  toJSON() {
+    return JSON.stringify({ ...this.session, exportedAt: new Date().toISOString() }, null, 2);
+  }
+
+  toCSV() {
+    const header = [
+      'session_id', 'participant', 'trial', 'track_id',
+      'a_kind', 'a_label', 'a_file', 'b_kind', 'b_label', 'b_file',
+      'preference', 'preferred_kind', 'rating_a', 'rating_b', 'answered_at',
+    ];
+    const rows = this.trials.map(t => [
+      this.session.id, this.session.participant, t.index, t.trackId,
+      t.a.kind, t.a.label, t.a.file, t.b.kind, t.b.label, t.b.file,
+      t.preference || '', t.preference ? t[t.preference.toLowerCase()].kind : '',
+      t.ratingA || '', t.ratingB || '', t.answeredAt || '',
+    ]);
+    return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+  }
+}
+
+/* ── Helpers ── */
+
+function shuffle(items) {
+  const out = items.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+function csvCell(value) {
+  const s = String(value);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
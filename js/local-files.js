@@ -0,0 +1,97 @@
+/* ═══════════════════════════════════════════
+   LOCAL FILES — Drag-and-drop MIDI auditioning
+   Parses dropped/picked .mid files in the browser
+   and builds a temporary prime + continuations
+   track in the same shape as tracks.json entries.
+   ═══════════════════════════════════════════ */
+
+const MIDI_FILE_PATTERN = /\.midi?$/i;
+
+let localTrackCounter = 0;
+
+/* ── Parsing ── */
+
+async function parseLocalMidiFile(file) {
+  const buffer = await file.arrayBuffer();
+  try {
+    return new Midi(buffer);
+  } catch (err) {
+    throw new Error(`${file.name} is not a valid MIDI file`);
+  }
+}
+
+/* Builds a track from a set of files. The prime is the file whose
+   name contains "prime" (matching the *_clean_prime.mid convention);
+   failing that, the shortest file, since every continuation file
+   already contains the prime. */
+
+async function buildLocalTrack(fileList) {
+  const files = Array.from(fileList).filter(f => MIDI_FILE_PATTERN.test(f.name));
+  if (files.length < 2) {
+    throw new Error('Drop a prime .mid plus at least one continuation .mid');
+  }
+
+  const parsed = await Promise.all(files.map(async (file) => ({
+    name: file.name,
+    midi: await parseLocalMidiFile(file),
+  })));
+
+  let prime = parsed.find(p => /prime/i.test(p.name));
+  if (!prime) {
+    prime = parsed.reduce((a, b) => (b.midi.duration < a.midi.duration ? b : a));
+  }
+
+  const continuations = parsed
+    .filter(p => p !== prime)
+    .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+    .map((p, i) => ({ file: p.midi, name: p.name, label: variantLabel(i) }));
+
+  localTrackCounter++;
+  return {
+    id: `local-${localTrackCounter}`,
+    composer: 'Local',
+    title: prime.name.replace(MIDI_FILE_PATTERN, '').replace(/_clean_prime$|_prime$/i, ''),
+    prime: prime.midi,
+    continuations,
+    local: true,
+  };
+}
+
+/* ── Drop zone & file picker wiring ── */
+
+function initLocalFileInput({ dropTarget, input, onFiles }) {
+  let dragDepth = 0;
+
+  const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+
+  dropTarget.addEventListener('dragenter', (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    dragDepth++;
+    dropTarget.classList.add('drag-over');
+  });
+
+  dropTarget.addEventListener('dragover', (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+  });
+
+  dropTarget.addEventListener('dragleave', () => {
+    dragDepth = Math.max(0, dragDepth - 1);
+    if (dragDepth === 0) dropTarget.classList.remove('drag-over');
+  });
+
+  dropTarget.addEventListener('drop', (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    dragDepth = 0;
+    dropTarget.classList.remove('drag-over');
+    onFiles(e.dataTransfer.files);
+  });
+
+  input.addEventListener('change', () => {
+    if (input.files.length) onFiles(input.files);
+    input.value = ''; // allow picking the same files again
+  });
+}
@@ -0,0 +1,85 @@
+/* ═══════════════════════════════════════════
+   MIDI EXPORT — Prime/continuation split files
+   Writes the loaded notes back out through
+   @tonejs/midi with the prime and continuation
+   on separate named tracks, keeping the source
+   tempo map and time signatures.
+   ═══════════════════════════════════════════ */
+
+const EXPORT_TRACKS = [
+  { source: 'original', name: 'Prime', channel: 0 },
+  { source: 'continuation', name: 'Continuation', channel: 1 },
+];
+
+/* notes:  [{ midi, time, duration, velocity, source }] in seconds
+   header: the @tonejs/midi Header the notes were read from
+   range:  optional { start, end } in seconds (the visible window, the
+           loop region or a selection's noteSpan); notes are clipped to
+           it and shifted so the range starts at 0. Passing a selection
+           with its own noteSpan writes just those notes, unclipped, with
+           the earliest onset at 0 */
+
+function buildSplitMidi(notes, header, { range = null, name = '' } = {}) {
+  const midi = new Midi();
+  midi.header.fromJSON(header.toJSON());
+  if (name) midi.header.name = name;
+
+  const start = range ? range.start : 0;
+  const end = range ? range.end : Infinity;
+  if (range) trimHeader(midi.header, header.secondsToTicks(start));
+  midi.header.update();
+
+  for (const spec of EXPORT_TRACKS) {
+    const track = midi.addTrack();
+    track.name = spec.name;
+    track.channel = spec.channel;
+    track.instrument.number = 0; // Acoustic Grand Piano
+
+    for (const note of notes) {
+      if (note.source !== spec.source) continue;
+      const noteEnd = note.time + note.duration;
+      if (noteEnd <= start || note.time >= end) continue;
+
+      const onset = Math.max(note.time, start);
+      track.addNote({
+        midi: note.midi,
+        time: onset - start,
+        duration: Math.min(noteEnd, end) - onset,
+        velocity: note.velocity,
+      });
+    }
+  }
+
+  return midi;
+}
+
+// From the first onset to the last release, or null for no notes
+function noteSpan(notes) {
+  if (notes.length === 0) return null;
+  let start = Infinity;
+  let end = 0;
+  for (const note of notes) {
+    start = Math.min(start, note.time);
+    end = Math.max(end, note.time + note.duration);
+  }
+  return { start, end };
+}
+
+// Re-bases tempo and meter events so that startTick becomes tick 0,
+// keeping whichever event was in force at the cut.
+function trimHeader(header, startTick) {
+  const rebase = (events) => {
+    const before = events.filter(e => e.ticks <= startTick);
+    const after = events.filter(e => e.ticks > startTick);
+    const inForce = before.length ? [{ ...before[before.length - 1], ticks: 0 }] : [];
+    return [...inForce, ...after.map(e => ({ ...e, ticks: e.ticks - startTick }))];
+  };
+  header.tempos = rebase(header.tempos);
+  header.timeSignatures = rebase(header.timeSignatures);
+  header.keySignatures = rebase(header.keySignatures);
+  header.meta = header.meta.filter(e => e.ticks >= startTick).map(e => ({ ...e, ticks: e.ticks - startTick }));
+}
+
+function encodeMidi(midi) {
+  return new Blob([midi.toArray()], { type: 'audio/midi' });
+}
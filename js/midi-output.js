@@ -0,0 +1,83 @@
+/* ═══════════════════════════════════════════
+   MIDI OUTPUT — Web MIDI playback target
+   Wraps a MIDIOutput port so MidiPlayer can
+   drive an external or virtual instrument in
+   place of the Tone.js voices. Messages carry
+   timestamps converted from audio-clock time,
+   so they land where the Transport scheduled them.
+   ═══════════════════════════════════════════ */
+
+const MIDI_NOTE_ON = 0x90;
+const MIDI_NOTE_OFF = 0x80;
+const MIDI_CONTROL_CHANGE = 0xb0;
+
+const CC_VOLUME = 7;
+const CC_SUSTAIN = 64;
+const CC_SOFT = 67;
+const CC_ALL_NOTES_OFF = 123;
+
+// Resolves to the MIDIAccess object; rejects where Web MIDI is unavailable
+async function requestMidiAccess() {
+  if (!navigator.requestMIDIAccess) {
+    throw new Error('This browser does not support Web MIDI');
+  }
+  return navigator.requestMIDIAccess();
+}
+
+function listMidiOutputs(access) {
+  return Array.from(access.outputs.values())
+    .filter(port => port.state !== 'disconnected')
+    .map(port => ({ id: port.id, name: port.name || port.id }));
+}
+
+class MidiOutputPort {
+  constructor(port) {
+    this.port = port;
+    this.id = port.id;
+    this.name = port.name || port.id;
+  }
+
+  /* Times are audio-context seconds as handed to Transport callbacks;
+     omitted means "now". Velocity is 0–1. */
+
+  noteOn(channel, midi, velocity, time) {
+    const v = Math.max(1, Math.min(127, Math.round(velocity * 127)));
+    this._send([MIDI_NOTE_ON | channel, midi, v], time);
+  }
+
+  noteOff(channel, midi, time) {
+    this._send([MIDI_NOTE_OFF | channel, midi, 0], time);
+  }
+
+  controlChange(channel, controller, value, time) {
+    this._send([MIDI_CONTROL_CHANGE | channel, controller, value], time);
+  }
+
+  // Drops anything still queued, then silences every channel given.
+  // The pedal comes up first, or held notes would keep sounding.
+  allNotesOff(channels, time) {
+    if (time === undefined && typeof this.port.clear === 'function') this.port.clear();
+    for (const channel of channels) {
+      this.controlChange(channel, CC_SUSTAIN, 0, time);
+      this.controlChange(channel, CC_SOFT, 0, time);
+      this.controlChange(channel, CC_ALL_NOTES_OFF, 0, time);
+    }
+  }
+
+  _send(data, time) {
+    try {
+      this.port.send(data, this._timestamp(time));
+    } catch (err) {
+      // Port closed or unplugged mid-playback
+      console.warn(`MIDI output "${this.name}" rejected a message:`, err);
+    }
+  }
+
+  // Audio-context seconds → DOMHighResTimeStamp for MIDIOutput.send()
+  _timestamp(time) {
+    const now = performance.now();
+    if (time === undefined) return now;
+    const ahead = (time - Tone.getContext().currentTime) * 1000;
+    return now + Math.max(0, ahead);
+  }
+}
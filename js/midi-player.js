@@ -2,81 +2,472 @@
    MIDI PLAYER — Tone.js playback engine
    Loads MIDI via @tonejs/midi, schedules notes
    on Tone.Transport for sample-accurate timing,
-   synthesizes with Salamander grand piano.
+   synthesizes with an instrument from the
+   registry in instruments.js.
+   Comparison mode plays two continuations of
+   one prime through a crossfade, and a mixer
+   sets level, pan, mute and solo per source
+   and per track. Playback can also drive a
+   Web MIDI output port instead.
    ═══════════════════════════════════════════ */
 
+const SOFT_PEDAL_GAIN = 0.7;
+const MIN_LOOP_SECONDS = 0.25;
+const SEAM_LOOP_PADDING = 4; // seconds either side of the prime/continuation boundary
+const MIN_PLAYBACK_RATE = 0.25;
+const MAX_PLAYBACK_RATE = 2;
+const MIDI_OUTPUT_CHANNELS = { main: 0, a: 1, b: 2 }; // by voice, 0-based
+const MIX_RAMP_SECONDS = 0.05;
+const MIX_SOURCES = ['original', 'continuation'];
+
+function defaultMixStrip() {
+  return { level: 1, pan: 0, mute: false, solo: false };
+}
+
+// Mixer voice a note plays through: one per source and track
+function mixKey(note) {
+  return `${note.source}:${note.trackIdx}`;
+}
+
+// Comparison voice a continuation note plays through: one per side ('a' | 'b') and track
+function compareKey(key, trackIdx) {
+  return `${key}:${trackIdx}`;
+}
+
 class MidiPlayer {
-  constructor() {
-    this.sampler = null;
+  constructor({ instrument = DEFAULT_INSTRUMENT, playbackRate = 1, sourceMix = null } = {}) {
+    this.sampler = null; // main voice: any instrument from the registry
+    this.instrumentId = instrument;
     this.scheduledIds = [];
     this.notes = [];
     this.duration = 0;
     this.primeDuration = 0;
     this.bpm = 120;
     this.beatsPerBar = 4;
+    this.header = null;
+    this.timing = null; // { ppq, tempos, timeSignatures } from the header
+
+    this.pedals = { sustain: [], soft: [] }; // [{ start, end, source }]
+
+    // Comparison mode: continuation B alongside this.notes (A)
+    this.compareNotes = [];
+    this.comparePedals = null;
+    this.isComparing = false;
+    this.crossfade = 0; // 0 = A only, 1 = B only
+    this._compareVoices = null; // Map compareKey → { key, trackIdx, sampler, gain, panner }
+
+    this.midiOutput = null; // MidiOutputPort; replaces the Tone voices while set
+
+    // Mixer strips ({ level 0–1, pan −1–1, mute, solo }) by source and by
+    // trackIdx; a note hears the product of its two levels and the sum of
+    // its two pans. Solo works within each group.
+    this.mix = { sources: {}, tracks: [] };
+    for (const source of MIX_SOURCES) {
+      this.mix.sources[source] = { ...defaultMixStrip(), ...(sourceMix && sourceMix[source]) };
+    }
+    this.trackNames = []; // MIDI track names of the loaded file, by trackIdx
+    this._mixVoices = null; // Map mixKey → { sampler, gain, panner }, built once the mix is in use
+
+    // Live input monitoring (recording)
+    this._liveSustain = false;
+    this._liveSustained = new Set();
+
+    this.loop = null; // { start, end } in seconds
+
+    // Speed multiplier. Notes, loop points and public times stay in score
+    // seconds; only the Transport runs in stretched time.
+    this.playbackRate = this._clampRate(playbackRate);
 
     this.isPlaying = false;
     this.isPaused = false;
     this._pausedTime = 0;
     this._animId = null;
+    this._instrumentToken = 0;
 
     // Callbacks
     this.onTimeUpdate = null;
     this.onPlayStateChange = null;
     this.onLoadStart = null;
     this.onLoadEnd = null;
+    this.onInstrumentChange = null; // (id, { fellBack })
+
+    this._instrumentReady = this.setInstrument(instrument);
 
-    this._initSampler();
+    // Notes still ringing at the loop end would bleed into the next pass
+    Tone.Transport.on('loop', (time) => {
+      this._releaseAll(time);
+      if (this.loop) this._sendPedalState(this.loop.start, time);
+    });
   }
 
-  /* ── Sampler Setup ── */
+  /* ── Instruments ──
+     Scheduled callbacks look their instrument up when they fire,
+     so switching takes effect mid-playback without rescheduling. */
+
+  async setInstrument(id) {
+    const token = ++this._instrumentToken;
+    // Every voice behind a gain gets a fresh instrument too
+    const voices = [
+      ...(this._compareVoices ? this._compareVoices.values() : []),
+      ...(this._mixVoices ? this._mixVoices.values() : []),
+    ];
+    const built = await Promise.all(Array.from({ length: 1 + voices.length }, () => createInstrument(id)));
+
+    // A newer request superseded this one while samples were loading
+    if (token !== this._instrumentToken) {
+      built.forEach(b => b.instrument.dispose());
+      return;
+    }
+
+    const [main, ...rest] = built;
+    this._retireInstrument(this.sampler);
+    this.sampler = main.instrument.toDestination();
+    voices.forEach((voice, i) => {
+      this._retireInstrument(voice.sampler);
+      voice.sampler = rest[i].instrument.connect(voice.gain);
+    });
+    this.instrumentId = id;
 
-  _initSampler() {
-    this.sampler = new Tone.Sampler({
-      urls: {
-        A0: 'A0.mp3', C1: 'C1.mp3', 'D#1': 'Ds1.mp3', 'F#1': 'Fs1.mp3',
-        A1: 'A1.mp3', C2: 'C2.mp3', 'D#2': 'Ds2.mp3', 'F#2': 'Fs2.mp3',
-        A2: 'A2.mp3', C3: 'C3.mp3', 'D#3': 'Ds3.mp3', 'F#3': 'Fs3.mp3',
-        A3: 'A3.mp3', C4: 'C4.mp3', 'D#4': 'Ds4.mp3', 'F#4': 'Fs4.mp3',
-        A4: 'A4.mp3', C5: 'C5.mp3', 'D#5': 'Ds5.mp3', 'F#5': 'Fs5.mp3',
-        A5: 'A5.mp3', C6: 'C6.mp3', 'D#6': 'Ds6.mp3', 'F#6': 'Fs6.mp3',
-        A6: 'A6.mp3', C7: 'C7.mp3', 'D#7': 'Ds7.mp3', 'F#7': 'Fs7.mp3',
-        A7: 'A7.mp3', C8: 'C8.mp3',
-      },
-      release: 1.5,
-      baseUrl: 'https://tonejs.github.io/audio/salamander/',
-    }).toDestination();
+    const fellBack = built.some(x => x.fellBack);
+    if (this.onInstrumentChange) this.onInstrumentChange(id, { fellBack });
+  }
+
+  _retireInstrument(old) {
+    if (!old) return;
+    old.releaseAll();
+    // Let release tails ring out before freeing the voice
+    setTimeout(() => old.dispose(), 2000);
+  }
+
+  /* Continuations A and B each get their own instruments, one per track,
+     behind a gain and panner so the crossfade and the mixer can move
+     while notes are sounding. The prime is identical in both files and
+     stays on the main (or mixer) voices. */
+
+  async _ensureCompareVoices() {
+    const tracks = new Map(); // compareKey → [key, trackIdx]
+    for (const [key, notes] of [['a', this.notes], ['b', this.compareNotes]]) {
+      for (const n of notes) {
+        if (n.source === 'continuation') tracks.set(compareKey(key, n.trackIdx), [key, n.trackIdx]);
+      }
+    }
+    const missing = [...tracks.keys()].filter(k => !this._compareVoices || !this._compareVoices.has(k));
+    if (missing.length === 0) return;
+
+    const token = this._instrumentToken;
+    const built = await Promise.all(missing.map(() => createInstrument(this.instrumentId)));
+    if (!this._compareVoices) this._compareVoices = new Map();
+    missing.forEach((k, i) => {
+      if (this._compareVoices.has(k)) {
+        // Another load got here first
+        built[i].instrument.dispose();
+        return;
+      }
+      const [key, trackIdx] = tracks.get(k);
+      const panner = new Tone.Panner(0).toDestination();
+      const gain = new Tone.Gain(0).connect(panner);
+      this._compareVoices.set(k, { key, trackIdx, sampler: built[i].instrument.connect(gain), gain, panner });
+    });
+    this._applyCrossfade(0);
+    // An instrument switch started while these were loading; bring them in line
+    if (token !== this._instrumentToken) this.setInstrument(this.instrumentId);
+  }
+
+  // Crossfade times the continuation's source × track strips, per voice
+  _applyCrossfade(rampTime = 0.05) {
+    if (!this._compareVoices) return;
+    // Equal-power curve keeps loudness steady through the middle
+    const x = this.crossfade;
+    const fades = { a: Math.cos(x * Math.PI / 2), b: Math.sin(x * Math.PI / 2) };
+    for (const voice of this._compareVoices.values()) {
+      const { gain, pan } = this._noteMix({ source: 'continuation', trackIdx: voice.trackIdx });
+      voice.gain.gain.rampTo(fades[voice.key] * gain, rampTime);
+      voice.panner.pan.rampTo(pan, rampTime);
+    }
+    if (this.midiOutput) {
+      const level = this.stripLevel('sources', 'continuation');
+      this.midiOutput.controlChange(MIDI_OUTPUT_CHANNELS.a, CC_VOLUME, Math.round(fades.a * level * 127));
+      this.midiOutput.controlChange(MIDI_OUTPUT_CHANNELS.b, CC_VOLUME, Math.round(fades.b * level * 127));
+    }
+  }
+
+  /* ── Mixer ──
+     Until a strip moves off unity every note plays through the main
+     voice. From then on each source/track pair gets its own instrument
+     behind a gain and panner, like the comparison voices, so the mix
+     can move while notes are sounding. In comparison mode continuations
+     A and B play through their own per-track voices, which hear the
+     same continuation and track strips on top of the crossfade. */
+
+  // group: 'sources' (key 'original' | 'continuation') or 'tracks' (key trackIdx)
+  setMixStrip(group, key, changes) {
+    const strips = this.mix[group];
+    strips[key] = { ...(strips[key] || defaultMixStrip()), ...changes };
+    this._applyMix();
+    this._ensureMixVoices();
+    return strips[key];
+  }
+
+  resetMix() {
+    for (const source of MIX_SOURCES) this.mix.sources[source] = defaultMixStrip();
+    this.mix.tracks = this.mix.tracks.map(() => defaultMixStrip());
+    this._applyMix();
+  }
+
+  isMixFlat() {
+    const strips = [...Object.values(this.mix.sources), ...this.mix.tracks];
+    return strips.every(s => s.level === 1 && s.pan === 0 && !s.mute && !s.solo);
+  }
+
+  // Tracks of the loaded file that have notes: [{ idx, name }]
+  mixTracks() {
+    const used = new Set(this.notes.map(n => n.trackIdx));
+    return [...used].sort((a, b) => a - b).map(idx => ({ idx, name: this.trackNames[idx] || '' }));
+  }
+
+  // A strip's level after mute and solo
+  stripLevel(group, key) {
+    const strips = this.mix[group];
+    const strip = strips[key] || defaultMixStrip();
+    const soloing = Object.values(strips).some(s => s.solo);
+    return strip.mute || (soloing && !strip.solo) ? 0 : strip.level;
+  }
+
+  // Strips for every track of a newly loaded file; existing ones keep their settings
+  _syncMixTracks() {
+    const count = this.notes.reduce((max, n) => Math.max(max, n.trackIdx + 1), 0);
+    while (this.mix.tracks.length < count) this.mix.tracks.push(defaultMixStrip());
+  }
+
+  // { gain, pan } for anything with a source and trackIdx (a note or a mix voice)
+  _noteMix({ source, trackIdx }) {
+    const sourcePan = (this.mix.sources[source] || defaultMixStrip()).pan;
+    const trackPan = (this.mix.tracks[trackIdx] || defaultMixStrip()).pan;
+    return {
+      gain: this.stripLevel('sources', source) * this.stripLevel('tracks', trackIdx),
+      pan: Math.max(-1, Math.min(1, sourcePan + trackPan)),
+    };
+  }
+
+  async _ensureMixVoices() {
+    if (!this._mixVoices && this.isMixFlat()) return;
+    const byKey = new Map(this.notes.map(n => [mixKey(n), n]));
+    const missing = [...byKey.keys()].filter(key => !this._mixVoices || !this._mixVoices.has(key));
+    if (missing.length === 0) return;
+
+    const token = this._instrumentToken;
+    const built = await Promise.all(missing.map(() => createInstrument(this.instrumentId)));
+    if (!this._mixVoices) this._mixVoices = new Map();
+    missing.forEach((key, i) => {
+      if (this._mixVoices.has(key)) {
+        // Another load got here first
+        built[i].instrument.dispose();
+        return;
+      }
+      const { source, trackIdx } = byKey.get(key);
+      const panner = new Tone.Panner(0).toDestination();
+      const gain = new Tone.Gain(0).connect(panner);
+      this._mixVoices.set(key, { source, trackIdx, sampler: built[i].instrument.connect(gain), gain, panner });
+    });
+    this._applyMix(0);
+    // An instrument switch started while these were loading; bring them in line
+    if (token !== this._instrumentToken) this.setInstrument(this.instrumentId);
+  }
+
+  _applyMix(rampTime = MIX_RAMP_SECONDS) {
+    if (this._mixVoices) {
+      for (const voice of this._mixVoices.values()) {
+        const { gain, pan } = this._noteMix(voice);
+        voice.gain.gain.rampTo(gain, rampTime);
+        voice.panner.pan.rampTo(pan, rampTime);
+      }
+    }
+    this._applyCrossfade(rampTime);
+  }
+
+  /* ── MIDI Output ──
+     While a port is set, the same Transport callbacks send note and
+     pedal messages to it instead of triggering the Tone voices, so
+     switching takes effect mid-playback. The main voice plays on
+     channel 1; in comparison mode continuations A and B use channels
+     2 and 3 and the crossfade rides their channel volume. Of the
+     mixer, a port only hears mute and solo. */
+
+  setMidiOutput(output) {
+    this._releaseAll();
+    this.midiOutput = output || null;
+    this._applyCrossfade(0);
+    // Restart from here so the new target picks up the pedal state
+    if (this.isPlaying) this.seek(this.getCurrentTime());
+  }
+
+  _sendNote(voice, note, time) {
+    if (this._noteMix(note).gain === 0) return;
+    const channel = MIDI_OUTPUT_CHANNELS[voice];
+    this.midiOutput.noteOn(channel, note.midi, note.velocity, time);
+    // Key-up, not soundDuration: the receiver applies the sustain pedal itself
+    this.midiOutput.noteOff(channel, note.midi, time + note.duration / this.playbackRate);
+  }
+
+  // Which pedal regions drive which channel
+  _pedalTargets() {
+    if (!this.isComparing || !this._compareVoices) {
+      return [{ channel: MIDI_OUTPUT_CHANNELS.main, pedals: this.pedals }];
+    }
+    return [
+      { channel: MIDI_OUTPUT_CHANNELS.main, pedals: this.pedals },
+      { channel: MIDI_OUTPUT_CHANNELS.a, pedals: this.pedals },
+      { channel: MIDI_OUTPUT_CHANNELS.b, pedals: this.comparePedals },
+    ];
+  }
+
+  _schedulePedals(fromTime) {
+    for (const { channel, pedals } of this._pedalTargets()) {
+      for (const [controller, regions] of [[CC_SUSTAIN, pedals.sustain], [CC_SOFT, pedals.soft]]) {
+        for (const region of regions) {
+          for (const [at, value] of [[region.start, 127], [region.end, 0]]) {
+            if (at < fromTime) continue;
+            const id = Tone.Transport.schedule((audioTime) => {
+              if (this.midiOutput) this.midiOutput.controlChange(channel, controller, value, audioTime);
+            }, this._toTransport(at));
+            this.scheduledIds.push(id);
+          }
+        }
+      }
+    }
+  }
+
+  // Pedals already down at `scoreTime` have no event left to send them
+  _sendPedalState(scoreTime, time) {
+    if (!this.midiOutput) return;
+    const held = (regions) => regions.some(r => r.start <= scoreTime && scoreTime < r.end);
+    for (const { channel, pedals } of this._pedalTargets()) {
+      this.midiOutput.controlChange(channel, CC_SUSTAIN, held(pedals.sustain) ? 127 : 0, time);
+      this.midiOutput.controlChange(channel, CC_SOFT, held(pedals.soft) ? 127 : 0, time);
+    }
+  }
+
+  /* ── Live Input ──
+     Monitors notes played into the recorder through the main voice or
+     MIDI port, straight away rather than via the Transport. */
+
+  liveNote(midi, velocity) {
+    const channel = MIDI_OUTPUT_CHANNELS.main;
+    if (this.midiOutput) {
+      if (velocity > 0) this.midiOutput.noteOn(channel, midi, velocity);
+      else this.midiOutput.noteOff(channel, midi);
+      return;
+    }
+    if (!this.sampler) return;
+    // The first key pressed may be what unlocks audio
+    if (Tone.getContext().state !== 'running') Tone.start();
+
+    const note = Tone.Frequency(midi, 'midi');
+    if (velocity > 0) {
+      this._liveSustained.delete(midi);
+      this.sampler.triggerAttack(note, undefined, this._velocityCurve(velocity));
+    } else if (this._liveSustain) {
+      this._liveSustained.add(midi);
+    } else {
+      this.sampler.triggerRelease(note);
+    }
+  }
+
+  liveSustain(down) {
+    if (this.midiOutput) {
+      this.midiOutput.controlChange(MIDI_OUTPUT_CHANNELS.main, CC_SUSTAIN, down ? 127 : 0);
+      return;
+    }
+    this._liveSustain = down;
+    if (down || !this.sampler) return;
+    for (const midi of this._liveSustained) this.sampler.triggerRelease(Tone.Frequency(midi, 'midi'));
+    this._liveSustained.clear();
   }
 
   /* ── Track Loading ── */
 
-  async loadTrack(combinedUrl, primeUrl) {
+  // Sources are URLs, or already-parsed Midi objects (local files)
+  async loadTrack(combinedSrc, primeSrc) {
     if (this.onLoadStart) this.onLoadStart();
     this.stop();
+    this.setLoop(null);
 
     try {
       const [combinedMidi, primeMidi] = await Promise.all([
-        Midi.fromUrl(combinedUrl),
-        Midi.fromUrl(primeUrl),
+        this._resolveMidi(combinedSrc),
+        this._resolveMidi(primeSrc),
       ]);
 
+      this.isComparing = false;
+      this.compareNotes = [];
+      this.comparePedals = null;
       this.primeDuration = primeMidi.duration;
       this.notes = this._extractNotes(combinedMidi, this.primeDuration);
+      this.pedals = this._extractPedals(combinedMidi, this.primeDuration);
+      this._applyPedals(this.notes, this.pedals);
       this.duration = combinedMidi.duration;
 
-      // Extract tempo and time signature from MIDI header
-      const tempos = combinedMidi.header.tempos;
-      this.bpm = tempos.length > 0 ? tempos[0].bpm : 120;
-      const timeSigs = combinedMidi.header.timeSignatures;
-      this.beatsPerBar = timeSigs.length > 0 ? timeSigs[0].timeSignature[0] : 4;
+      this._readHeader(combinedMidi);
+      this.trackNames = combinedMidi.tracks.map(t => t.name);
+      this._syncMixTracks();
+      await this._ensureMixVoices();
+
+      if (this.onLoadEnd) this.onLoadEnd();
+      return {
+        notes: this.notes,
+        pedals: this.pedals,
+        duration: this.duration,
+        primeDuration: this.primeDuration,
+        bpm: this.bpm,
+        beatsPerBar: this.beatsPerBar,
+        timing: this.timing,
+      };
+    } catch (err) {
+      console.error('Failed to load MIDI:', err);
+      if (this.onLoadEnd) this.onLoadEnd();
+      throw err;
+    }
+  }
+
+  async loadComparison(srcA, srcB, primeSrc) {
+    if (this.onLoadStart) this.onLoadStart();
+    this.stop();
+    this.setLoop(null);
+
+    try {
+      const [midiA, midiB, primeMidi] = await Promise.all([
+        this._resolveMidi(srcA),
+        this._resolveMidi(srcB),
+        this._resolveMidi(primeSrc),
+      ]);
+
+      this.isComparing = true;
+      this.primeDuration = primeMidi.duration;
+      this.notes = this._extractNotes(midiA, this.primeDuration);
+      this.compareNotes = this._extractNotes(midiB, this.primeDuration);
+      await this._ensureCompareVoices();
+      this.pedals = this._extractPedals(midiA, this.primeDuration);
+      this.comparePedals = this._extractPedals(midiB, this.primeDuration);
+      this._applyPedals(this.notes, this.pedals);
+      this._applyPedals(this.compareNotes, this.comparePedals);
+      this.duration = Math.max(midiA.duration, midiB.duration);
+
+      this._readHeader(midiA);
+      this.trackNames = midiA.tracks.map(t => t.name);
+      this._syncMixTracks();
+      await this._ensureMixVoices();
 
       if (this.onLoadEnd) this.onLoadEnd();
       return {
         notes: this.notes,
+        compareNotes: this.compareNotes,
+        pedals: this.pedals,
+        comparePedals: this.comparePedals,
         duration: this.duration,
         primeDuration: this.primeDuration,
         bpm: this.bpm,
         beatsPerBar: this.beatsPerBar,
+        timing: this.timing,
       };
     } catch (err) {
       console.error('Failed to load MIDI:', err);
@@ -85,6 +476,46 @@ class MidiPlayer {
     }
   }
 
+  // Notes of a variant as loadTrack() would give them, without touching
+  // what is loaded for playback (used to rank the other continuations)
+  async readNotes(combinedSrc, primeSrc) {
+    const [combinedMidi, primeMidi] = await Promise.all([
+      this._resolveMidi(combinedSrc),
+      this._resolveMidi(primeSrc),
+    ]);
+    const notes = this._extractNotes(combinedMidi, primeMidi.duration);
+    this._applyPedals(notes, this._extractPedals(combinedMidi, primeMidi.duration));
+    return notes;
+  }
+
+  setCrossfade(value) {
+    this.crossfade = Math.max(0, Math.min(1, value));
+    this._applyCrossfade();
+  }
+
+  _readHeader(midi) {
+    this.header = midi.header; // kept for export
+
+    // Extract tempo and time signature from MIDI header
+    const tempos = midi.header.tempos;
+    this.bpm = tempos.length > 0 ? tempos[0].bpm : 120;
+    const timeSigs = midi.header.timeSignatures;
+    this.beatsPerBar = timeSigs.length > 0 ? timeSigs[0].timeSignature[0] : 4;
+
+    // Full tempo map and meter changes, for a grid that follows the music
+    this.timing = {
+      ppq: midi.header.ppq,
+      tempos: tempos.map(t => ({ ticks: t.ticks, bpm: t.bpm })),
+      timeSignatures: timeSigs.map(ts => ({ ticks: ts.ticks, timeSignature: ts.timeSignature.slice() })),
+    };
+  }
+
+  _resolveMidi(src) {
+    if (src instanceof Midi) return Promise.resolve(src);
+    if (src instanceof ArrayBuffer) return Promise.resolve(new Midi(src));
+    return Midi.fromUrl(src);
+  }
+
   _extractNotes(midi, primeDuration) {
     const notes = [];
     midi.tracks.forEach((track, trackIdx) => {
@@ -102,6 +533,122 @@ class MidiPlayer {
     return notes.sort((a, b) => a.time - b.time);
   }
 
+  /* ── Pedals ──
+     Sustain (CC64) holds a note until the pedal lifts when the key is
+     released with the pedal down; soft (CC67) quietens notes struck
+     while it is held. Values are normalized 0–1 by @tonejs/midi. */
+
+  _extractPedals(midi, primeDuration) {
+    const region = (start, end) => ({
+      start,
+      end,
+      source: start < primeDuration ? 'original' : 'continuation',
+    });
+
+    const regionsFor = (controller) => {
+      const regions = [];
+      midi.tracks.forEach(track => {
+        const events = (track.controlChanges[controller] || []).slice().sort((a, b) => a.time - b.time);
+        let downAt = null;
+        for (const cc of events) {
+          const down = cc.value >= 0.5;
+          if (down && downAt === null) {
+            downAt = cc.time;
+          } else if (!down && downAt !== null) {
+            regions.push(region(downAt, cc.time));
+            downAt = null;
+          }
+        }
+        if (downAt !== null) regions.push(region(downAt, midi.duration));
+      });
+      return regions.sort((a, b) => a.start - b.start);
+    };
+
+    return { sustain: regionsFor(64), soft: regionsFor(67) };
+  }
+
+  _applyPedals(notes, pedals) {
+    for (const note of notes) {
+      const release = note.time + note.duration;
+      const held = pedals.sustain.find(p => p.start <= release && release < p.end);
+      note.soundDuration = held ? held.end - note.time : note.duration;
+      note.soft = pedals.soft.some(p => p.start <= note.time && note.time < p.end);
+    }
+  }
+
+  /* ── Loop Region ──
+     Wrapping is left to Transport looping so it lands sample-accurately;
+     notes are scheduled from the loop start so every pass hears them.
+     Returns the normalized region, or null if it was too short. */
+
+  setLoop(region) {
+    const start = region ? Math.max(0, Math.min(region.start, region.end)) : 0;
+    const end = region ? Math.min(this.duration, Math.max(region.start, region.end)) : 0;
+    this.loop = end - start >= MIN_LOOP_SECONDS ? { start, end } : null;
+
+    this._applyTransportLoop();
+
+    if (this.isPlaying) {
+      const t = this.getCurrentTime();
+      if (this.loop && t >= this.loop.end) this.seek(this.loop.start);
+      else this._scheduleFrom(t);
+    } else if (this.isPaused) {
+      this._pausedTime = this._clampToLoop(this._pausedTime);
+    }
+    return this.loop;
+  }
+
+  // Region centred on the prime/continuation boundary
+  seamLoop(padding = SEAM_LOOP_PADDING) {
+    if (this.primeDuration <= 0 || this.primeDuration >= this.duration) return null;
+    return {
+      start: Math.max(0, this.primeDuration - padding),
+      end: Math.min(this.duration, this.primeDuration + padding),
+    };
+  }
+
+  _applyTransportLoop() {
+    Tone.Transport.loop = !!this.loop;
+    if (this.loop) {
+      Tone.Transport.loopStart = this._toTransport(this.loop.start);
+      Tone.Transport.loopEnd = this._toTransport(this.loop.end);
+    }
+  }
+
+  // Past the loop end the Transport would wrap modulo the loop length
+  _clampToLoop(time) {
+    return this.loop && time >= this.loop.end ? this.loop.start : time;
+  }
+
+  /* ── Playback Rate ──
+     Notes are rescheduled rather than the audio being resampled, so
+     pitch is unaffected at any speed. */
+
+  setPlaybackRate(rate) {
+    rate = this._clampRate(rate);
+    if (rate === this.playbackRate) return rate;
+
+    const t = this.getCurrentTime();
+    this.playbackRate = rate;
+    this._applyTransportLoop();
+    if (this.isPlaying) this.seek(t);
+    return rate;
+  }
+
+  _clampRate(rate) {
+    const r = Number(rate);
+    return Number.isFinite(r) ? Math.max(MIN_PLAYBACK_RATE, Math.min(r, MAX_PLAYBACK_RATE)) : 1;
+  }
+
+  // Score seconds ↔ Transport seconds
+  _toTransport(time) {
+    return time / this.playbackRate;
+  }
+
+  _fromTransport(seconds) {
+    return seconds * this.playbackRate;
+  }
+
   /* ── Transport Scheduling ──
      Key insight: Schedule notes at ABSOLUTE Transport positions.
      The Transport callback provides a precise audioTime parameter —
@@ -110,26 +657,55 @@ class MidiPlayer {
 
   _scheduleFrom(fromTime) {
     this._clearScheduled();
+    if (this.loop) fromTime = Math.min(fromTime, this.loop.start);
 
+    const comparing = this.isComparing && this._compareVoices;
     for (const note of this.notes) {
-      // Skip notes that have already fully elapsed
-      if (note.time + note.duration <= fromTime) continue;
-
-      const id = Tone.Transport.schedule((audioTime) => {
-        try {
-          this.sampler.triggerAttackRelease(
-            Tone.Frequency(note.midi, 'midi'),
-            Math.min(note.duration, 8),
-            audioTime,                          // Precise Web Audio time
-            this._velocityCurve(note.velocity),
-          );
-        } catch (e) {
-          // Sampler polyphony limit — silently skip
-        }
-      }, note.time); // Absolute position on Transport timeline
+      const voice = comparing && note.source === 'continuation' ? 'a' : 'main';
+      this._scheduleNote(note, voice, fromTime);
+    }
+    if (comparing) {
+      // B's prime duplicates A's, so only its continuation is scheduled
+      for (const note of this.compareNotes) {
+        if (note.source === 'continuation') this._scheduleNote(note, 'b', fromTime);
+      }
+    }
+    this._schedulePedals(fromTime);
+  }
 
-      this.scheduledIds.push(id);
+  _voice(key, note) {
+    if (key !== 'main') {
+      const compared = this._compareVoices.get(compareKey(key, note.trackIdx));
+      return compared ? compared.sampler : this.sampler;
     }
+    const mixed = this._mixVoices && this._mixVoices.get(mixKey(note));
+    return mixed ? mixed.sampler : this.sampler;
+  }
+
+  _scheduleNote(note, voice, fromTime) {
+    // Skip notes that have already fully elapsed
+    if (note.time + note.soundDuration <= fromTime) return;
+
+    const id = Tone.Transport.schedule((audioTime) => {
+      try {
+        if (this.midiOutput) this._sendNote(voice, note, audioTime);
+        else this._triggerNote(this._voice(voice, note), note, audioTime, this.playbackRate); // Precise Web Audio time
+      } catch (e) {
+        // Polyphony limit or instrument mid-swap — silently skip
+      }
+    }, this._toTransport(note.time)); // Absolute position on Transport timeline
+
+    this.scheduledIds.push(id);
+  }
+
+  _triggerNote(instrument, note, time, rate = 1) {
+    const velocity = this._velocityCurve(note.velocity) * (note.soft ? SOFT_PEDAL_GAIN : 1);
+    instrument.triggerAttackRelease(
+      Tone.Frequency(note.midi, 'midi'),
+      Math.min(note.soundDuration / rate, 8),
+      time,
+      velocity,
+    );
   }
 
   _clearScheduled() {
@@ -140,27 +716,90 @@ class MidiPlayer {
     Tone.Transport.cancel();
   }
 
+  _releaseAll(time) {
+    if (this.sampler) this.sampler.releaseAll(time);
+    if (this._compareVoices) {
+      for (const voice of this._compareVoices.values()) voice.sampler.releaseAll(time);
+    }
+    if (this._mixVoices) {
+      for (const voice of this._mixVoices.values()) voice.sampler.releaseAll(time);
+    }
+    if (this.midiOutput) this.midiOutput.allNotesOff(Object.values(MIDI_OUTPUT_CHANNELS), time);
+  }
+
   _velocityCurve(v) {
     // Slight compression for more natural dynamics
     return Math.pow(v, 0.8) * 0.75;
   }
 
+  /* ── Offline Rendering ──
+     Replays the same notes and dynamics as live playback through a fresh
+     copy of the current instrument inside Tone.Offline, one per source
+     and track while the mixer is in use. Resolves to an AudioBuffer.
+     In comparison mode this renders continuation A. */
+
+  async renderAudio({ continuationOnly = false, onProgress = null, sampleRate = 44100 } = {}) {
+    const mixed = !this.isMixFlat();
+    const notes = this.notes.filter(n =>
+      (!continuationOnly || n.source === 'continuation') && (!mixed || this._noteMix(n).gain > 0));
+    if (notes.length === 0) throw new Error('There are no notes to render');
+
+    const offset = continuationOnly ? this.primeDuration : 0;
+    const lastRelease = notes.reduce((end, n) => Math.max(end, n.time + Math.min(n.soundDuration, 8)), 0);
+    const duration = lastRelease - offset + 2; // room for the release tail
+
+    let offlineContext = null;
+    const progressTimer = onProgress && setInterval(() => {
+      if (offlineContext) onProgress(Math.min(1, offlineContext.currentTime / duration));
+    }, 100);
+
+    try {
+      const buffer = await Tone.Offline(async (context) => {
+        offlineContext = context;
+        const voices = new Map();
+        for (const note of notes) {
+          const key = mixed ? mixKey(note) : 'main';
+          if (!voices.has(key)) voices.set(key, await this._offlineVoice(mixed ? note : null));
+          this._triggerNote(voices.get(key), note, note.time - offset);
+        }
+      }, duration, 2, sampleRate);
+      if (onProgress) onProgress(1);
+      return buffer.get();
+    } finally {
+      clearInterval(progressTimer);
+    }
+  }
+
+  // Built inside the offline context, so it renders there
+  async _offlineVoice(mixNote) {
+    const { instrument } = await createInstrument(this.instrumentId);
+    if (!mixNote) return instrument.toDestination();
+    const { gain, pan } = this._noteMix(mixNote);
+    return instrument.chain(new Tone.Gain(gain), new Tone.Panner(pan).toDestination());
+  }
+
   /* ── Playback Controls ── */
 
+  // False until a user gesture has unlocked audio for this page
+  canAutoplay() {
+    return Tone.getContext().state === 'running';
+  }
+
   async play() {
     if (this.notes.length === 0) return;
 
     await Tone.start();
-    await Tone.loaded();
+    await this._instrumentReady;
 
-    const startFrom = this.isPaused ? this._pausedTime : 0;
+    const startFrom = this._clampToLoop(this.isPaused ? this._pausedTime : 0);
 
     // Always: stop → clear → reschedule → start.
     // This avoids stale events and Transport state confusion.
     Tone.Transport.stop();
     this._scheduleFrom(startFrom);
+    this._sendPedalState(startFrom);
     // Small lookahead (+0.02) gives the audio thread time to buffer
-    Tone.Transport.start('+0.02', startFrom);
+    Tone.Transport.start('+0.02', this._toTransport(startFrom));
 
     this.isPlaying = true;
     this.isPaused = false;
@@ -171,9 +810,9 @@ class MidiPlayer {
   pause() {
     if (!this.isPlaying) return;
 
-    this._pausedTime = Tone.Transport.seconds;
+    this._pausedTime = this._fromTransport(Tone.Transport.seconds);
     Tone.Transport.pause();
-    this.sampler.releaseAll();
+    this._releaseAll();
 
     this.isPlaying = false;
     this.isPaused = true;
@@ -184,7 +823,7 @@ class MidiPlayer {
   stop() {
     Tone.Transport.stop();
     this._clearScheduled();
-    if (this.sampler) this.sampler.releaseAll();
+    this._releaseAll();
 
     this.isPlaying = false;
     this.isPaused = false;
@@ -195,15 +834,16 @@ class MidiPlayer {
   }
 
   seek(time) {
-    time = Math.max(0, Math.min(time, this.duration));
+    time = this._clampToLoop(Math.max(0, Math.min(time, this.duration)));
     const wasPlaying = this.isPlaying;
 
     Tone.Transport.stop();
-    this.sampler.releaseAll();
+    this._releaseAll();
     this._scheduleFrom(time);
 
     if (wasPlaying) {
-      Tone.Transport.start('+0.02', time);
+      this._sendPedalState(time);
+      Tone.Transport.start('+0.02', this._toTransport(time));
       this.isPlaying = true;
       this.isPaused = false;
       this._startTicker();
@@ -216,7 +856,7 @@ class MidiPlayer {
 
   getCurrentTime() {
     if (this.isPlaying) {
-      return Math.min(Tone.Transport.seconds, this.duration);
+      return Math.min(this._fromTransport(Tone.Transport.seconds), this.duration);
     }
     return this._pausedTime;
   }
@@ -229,7 +869,8 @@ class MidiPlayer {
       if (!this.isPlaying) return;
       const t = this.getCurrentTime();
       if (this.onTimeUpdate) this.onTimeUpdate(t, this.duration);
-      if (t >= this.duration) {
+      // With a loop region the Transport wraps on its own
+      if (!this.loop && t >= this.duration) {
         this.stop();
         return;
       }
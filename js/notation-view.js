@@ -0,0 +1,523 @@
+/* ═══════════════════════════════════════════
+   NOTATION VIEW — Grand-staff score of the piece
+   Draws the quantized score from score.js as
+   staff notation in systems that wrap to the
+   pane width. Continuation notes take their
+   own colour, the sounding measure is highlighted
+   and clicking a measure seeks to it.
+   ═══════════════════════════════════════════ */
+
+const STAFF_GAP = 8; // px between staff lines
+const STAFF_STEP = STAFF_GAP / 2; // one diatonic step
+const STAFF_DISTANCE = 84; // treble top line to bass top line
+const SYSTEM_HEIGHT = 180;
+const SYSTEM_TOP_PAD = 30; // ledger-line room above the treble staff
+const SCORE_MARGIN = 16;
+const MANUAL_SCROLL_HOLD = 3000; // ms the view stays where the user scrolled it
+const MUSIC_FONT = '"Bravura", "Noto Music", "Segoe UI Symbol", "Apple Symbols", serif';
+
+// Bottom-line diatonic steps (octave * 7 + letter, C = 0): E4 and G2
+const STAFF_BOTTOM_STEP = [30, 18];
+const STAFF_MIDDLE_STEP = [34, 22];
+
+// Treble-staff steps of each key-signature accidental; the bass sits two octaves lower
+const SHARP_SIG_STEPS = [38, 35, 39, 36, 33, 37, 34];
+const FLAT_SIG_STEPS = [34, 37, 33, 36, 32, 35, 31];
+const ACCIDENTAL_GLYPHS = { '-1': '♭', 0: '♮', 1: '♯' };
+
+const REST_GLYPHS = { 4: '𝄽', 8: '𝄾', 16: '𝄿' };
+
+class NotationView {
+  constructor(canvasId, wrapperId) {
+    this.canvas = document.getElementById(canvasId);
+    this.wrapper = document.getElementById(wrapperId);
+    this.ctx = this.canvas.getContext('2d');
+
+    this.notes = [];
+    this.duration = 0;
+    this.primeDuration = 0;
+    this.currentTime = 0;
+    this.score = buildScore([], []);
+    this.measures = this.score.measures; // laid out in place: columns, x, width, system
+    this.systems = []; // [{ y, measures: [index], header }]
+    this.keySignature = 0; // sharps > 0, flats < 0
+    this.showSourceLabels = true; // off in blind listening tests
+    this.scrollY = 0;
+    this._measureIdx = -1;
+    this._holdScrollUntil = 0;
+
+    this.colors = {
+      bg:           '#13161b',
+      staff:        'rgba(255, 255, 255, 0.28)',
+      barline:      'rgba(255, 255, 255, 0.35)',
+      label:        'rgba(255, 255, 255, 0.32)',
+      original:     'rgba(232, 234, 237, 0.92)',
+      continuation: '#5cd6c8',
+      highlight:    'rgba(92, 214, 200, 0.09)',
+      divider:      'rgba(255, 255, 255, 0.18)',
+    };
+
+    this._dpr = window.devicePixelRatio || 1;
+    this.displayWidth = 0;
+    this.displayHeight = 0;
+    this._resize();
+    this._onResize = this._debounce(() => this._resize(), 150);
+    window.addEventListener('resize', this._onResize);
+
+    this.onSeek = null;
+    this.canvas.addEventListener('pointerdown', (e) => this._onPointerDown(e));
+    this.canvas.addEventListener('wheel', (e) => this._onWheel(e), { passive: false });
+  }
+
+  /* ── Public API ── */
+
+  // beats: the piano roll's grid ([{ time, isBar, unit }]), so both views agree on bars
+  setNotes(notes, duration, primeDuration, beats) {
+    this.notes = notes;
+    this.duration = duration;
+    this.primeDuration = primeDuration || 0;
+    this.currentTime = 0;
+    this.scrollY = 0;
+    this._measureIdx = -1;
+    this.score = buildScore(notes, beats || [], { primeDuration: this.primeDuration, duration });
+    this.measures = this.score.measures;
+    this.keySignature = this.score.fifths;
+    this._layout();
+    this.render();
+  }
+
+  updateCursor(time) {
+    this.currentTime = time;
+    const idx = scoreMeasureAt(this.score, time);
+    if (idx === this._measureIdx) return;
+    this._measureIdx = idx;
+    this._follow();
+    this.render();
+  }
+
+  // Call after the pane is shown or its size changes for reasons other than a window resize
+  resize() {
+    this._resize();
+    this._follow();
+    this.render();
+  }
+
+  /* ── Layout ──
+     Events on the same sixteenth share a column across both staves.
+     Measures fill systems greedily at their natural width, then each
+     system but the last is stretched to the pane. */
+
+  _layout() {
+    this.systems = [];
+    const avail = this.displayWidth - 2 * SCORE_MARGIN;
+    if (!avail || this.measures.length === 0) return;
+
+    for (const m of this.measures) {
+      const columns = new Map(); // slot → { width, accidental }
+      for (const events of m.staves) {
+        for (const e of events) {
+          const col = columns.get(e.slot) || { accidental: false, dotted: false };
+          col.accidental = col.accidental || (!e.rest && e.heads.some(h => h.accidental));
+          col.dotted = col.dotted || e.dotted;
+          columns.set(e.slot, col);
+        }
+      }
+      m.columns = [...columns.entries()].sort((a, b) => a[0] - b[0]).map(([slot, col]) => ({
+        slot,
+        accidental: col.accidental,
+        width: 20 + (col.accidental ? 9 : 0) + (col.dotted ? 5 : 0),
+      }));
+      m.prefix = m.showTimeSig ? 22 : 0;
+      m.natural = 14 + m.prefix + m.columns.reduce((sum, c) => sum + c.width, 0);
+    }
+
+    const headerWidth = 36 + Math.abs(this.keySignature) * 8;
+    let system = null;
+    this.measures.forEach((m, i) => {
+      if (!system || system.used + m.natural > avail) {
+        system = { y: SCORE_MARGIN + this.systems.length * SYSTEM_HEIGHT, measures: [], header: headerWidth, used: headerWidth };
+        this.systems.push(system);
+      }
+      system.measures.push(i);
+      system.used += m.natural;
+      m.system = this.systems.length - 1;
+    });
+
+    this.systems.forEach((s, si) => {
+      const last = si === this.systems.length - 1;
+      const stretch = last ? 1 : (avail - s.header) / (s.used - s.header);
+      let x = SCORE_MARGIN + s.header;
+      for (const i of s.measures) {
+        const m = this.measures[i];
+        m.x = x;
+        m.width = m.natural * stretch;
+        let cx = x + m.prefix + 10 * stretch;
+        for (const col of m.columns) {
+          col.x = cx + (col.accidental ? 9 : 0) + 4;
+          cx += col.width * stretch;
+        }
+        x += m.width;
+      }
+      s.width = x - SCORE_MARGIN;
+    });
+  }
+
+  _scoreHeight() {
+    return this.systems.length * SYSTEM_HEIGHT + 2 * SCORE_MARGIN;
+  }
+
+  _clampScroll() {
+    this.scrollY = Math.max(0, Math.min(this.scrollY, this._scoreHeight() - this.displayHeight));
+  }
+
+  // Turns the page when the sounding measure leaves the view
+  _follow() {
+    const m = this.measures[this._measureIdx];
+    if (!m || m.system === undefined || performance.now() < this._holdScrollUntil) return;
+    const top = this.systems[m.system].y - SCORE_MARGIN / 2;
+    if (top < this.scrollY || top + SYSTEM_HEIGHT > this.scrollY + this.displayHeight) {
+      this.scrollY = top;
+      this._clampScroll();
+    }
+  }
+
+  /* ── Rendering ──
+     Only the systems in view are drawn, and only when the sounding
+     measure, the scroll position or the size changes. */
+
+  render() {
+    const ctx = this.ctx;
+    const w = this.displayWidth;
+    const h = this.displayHeight;
+    if (!w || !h) return;
+
+    ctx.fillStyle = this.colors.bg;
+    ctx.fillRect(0, 0, w, h);
+    ctx.save();
+    ctx.translate(0, -this.scrollY);
+    for (const system of this.systems) {
+      if (system.y + SYSTEM_HEIGHT < this.scrollY || system.y > this.scrollY + h) continue;
+      this._drawSystem(ctx, system);
+    }
+    ctx.restore();
+  }
+
+  _staffTop(system, staff) {
+    return system.y + SYSTEM_TOP_PAD + staff * STAFF_DISTANCE;
+  }
+
+  _stepY(system, staff, step) {
+    return this._staffTop(system, staff) + 4 * STAFF_GAP - (step - STAFF_BOTTOM_STEP[staff]) * STAFF_STEP;
+  }
+
+  _drawSystem(ctx, system) {
+    const left = SCORE_MARGIN;
+    const right = SCORE_MARGIN + system.width;
+    const top = this._staffTop(system, 0);
+    const bottom = this._staffTop(system, 1) + 4 * STAFF_GAP;
+
+    // Sounding measure, behind everything else
+    const current = this.measures[this._measureIdx];
+    if (current && current.system === this.systems.indexOf(system)) {
+      ctx.fillStyle = this.colors.highlight;
+      ctx.fillRect(current.x, top - 12, current.width, bottom - top + 24);
+    }
+
+    ctx.strokeStyle = this.colors.staff;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let staff = 0; staff < 2; staff++) {
+      const staffTop = this._staffTop(system, staff);
+      for (let line = 0; line < 5; line++) {
+        const y = Math.round(staffTop + line * STAFF_GAP) + 0.5;
+        ctx.moveTo(left, y);
+        ctx.lineTo(right, y);
+      }
+    }
+    ctx.stroke();
+
+    // System bracket and barlines through both staves
+    ctx.strokeStyle = this.colors.barline;
+    ctx.beginPath();
+    ctx.moveTo(left + 0.5, top);
+    ctx.lineTo(left + 0.5, bottom);
+    for (const i of system.measures) {
+      const m = this.measures[i];
+      ctx.moveTo(Math.round(m.x + m.width) - 0.5, top);
+      ctx.lineTo(Math.round(m.x + m.width) - 0.5, bottom);
+    }
+    ctx.stroke();
+    ctx.fillStyle = this.colors.barline;
+    ctx.fillRect(left - 4, top, 2, bottom - top);
+
+    this._drawSystemHeader(ctx, system);
+    this._drawDivider(ctx, system, top, bottom);
+
+    ctx.fillStyle = this.colors.label;
+    ctx.font = '9px "JetBrains Mono", monospace';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillText(String(system.measures[0] + 1), left, top - 14);
+
+    for (const i of system.measures) {
+      const m = this.measures[i];
+      if (m.showTimeSig) this._drawTimeSignature(ctx, system, m.x + 6, m.timeSig);
+      m.staves.forEach((events, staff) => {
+        events.forEach((e, k) => this._drawEvent(ctx, system, m, staff, e, events[k + 1]));
+      });
+    }
+  }
+
+  // Clefs and key signature at the start of every system
+  _drawSystemHeader(ctx, system) {
+    const x = SCORE_MARGIN + 4;
+    ctx.fillStyle = this.colors.original;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.font = `${STAFF_GAP * 5}px ${MUSIC_FONT}`;
+    ctx.fillText('𝄞', x, this._staffTop(system, 0) + 2.4 * STAFF_GAP);
+    ctx.font = `${STAFF_GAP * 3.6}px ${MUSIC_FONT}`;
+    ctx.fillText('𝄢', x, this._staffTop(system, 1) + 1.6 * STAFF_GAP);
+
+    const count = Math.abs(this.keySignature);
+    const steps = this.keySignature < 0 ? FLAT_SIG_STEPS : SHARP_SIG_STEPS;
+    const glyph = this.keySignature < 0 ? ACCIDENTAL_GLYPHS[-1] : ACCIDENTAL_GLYPHS[1];
+    ctx.font = `${STAFF_GAP * 1.8}px ${MUSIC_FONT}`;
+    ctx.textAlign = 'center';
+    for (let i = 0; i < count; i++) {
+      for (let staff = 0; staff < 2; staff++) {
+        ctx.fillText(glyph, x + 32 + i * 8, this._stepY(system, staff, steps[i] - staff * 14));
+      }
+    }
+  }
+
+  _drawTimeSignature(ctx, system, x, [num, den]) {
+    ctx.fillStyle = this.colors.original;
+    ctx.font = `bold ${STAFF_GAP * 2 + 2}px Georgia, serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    for (let staff = 0; staff < 2; staff++) {
+      const top = this._staffTop(system, staff);
+      ctx.fillText(String(num), x + 4, top + STAFF_GAP);
+      ctx.fillText(String(den), x + 4, top + 3 * STAFF_GAP);
+    }
+  }
+
+  // Dashed line where the continuation starts, as on the piano roll
+  _drawDivider(ctx, system, top, bottom) {
+    const boundary = this.score.boundary;
+    if (!boundary) return;
+    const m = this.measures[boundary.measure];
+    if (m.system !== this.systems.indexOf(system)) return;
+
+    // The score splits events at the boundary, so a column starts there
+    const col = m.columns.find(c => c.slot >= boundary.slot);
+    const x = col ? col.x - 9 : m.x + m.width - 3;
+    ctx.save();
+    ctx.setLineDash([4, 4]);
+    ctx.strokeStyle = this.colors.divider;
+    ctx.beginPath();
+    ctx.moveTo(x, top - 20);
+    ctx.lineTo(x, bottom + 20);
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  _drawEvent(ctx, system, m, staff, e, next) {
+    const col = m.columns.find(c => c.slot === e.slot);
+    const x = e.wholeBar ? m.x + m.width / 2 : col.x;
+    if (e.rest) {
+      this._drawRest(ctx, system, staff, x, e);
+      return;
+    }
+
+    const color = this._sourceColor(e.source);
+    const stemUp = e.heads.reduce((s, h) => s + h.step, 0) / e.heads.length < STAFF_MIDDLE_STEP[staff];
+    const placed = this._placeHeads(e.heads, stemUp);
+
+    for (const { head, dx } of placed) {
+      const y = this._stepY(system, staff, head.step);
+      this._drawLedgerLines(ctx, system, staff, x + dx, head.step);
+      ctx.fillStyle = this._sourceColor(head.source);
+      ctx.strokeStyle = ctx.fillStyle;
+      this._drawNotehead(ctx, x + dx, y, e.value <= 2);
+      if (head.accidental) {
+        ctx.font = `${STAFF_GAP * 1.8}px ${MUSIC_FONT}`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(ACCIDENTAL_GLYPHS[head.alter], x - 11, y);
+      }
+      if (e.dotted) {
+        const onLine = (head.step - STAFF_BOTTOM_STEP[staff]) % 2 === 0;
+        ctx.beginPath();
+        ctx.arc(x + 9 + Math.max(0, dx), y - (onLine ? STAFF_STEP : 0), 1.4, 0, Math.PI * 2);
+        ctx.fill();
+      }
+      if (e.tie && (!next || !next.rest)) {
+        // A tie into the next bar runs out over the barline
+        const endX = next ? m.columns.find(c => c.slot === next.slot).x - 5 : m.x + m.width + 6;
+        const dir = stemUp ? 1 : -1;
+        ctx.lineWidth = 1.2;
+        ctx.beginPath();
+        ctx.moveTo(x + 5, y + dir * 4);
+        ctx.quadraticCurveTo((x + 5 + endX) / 2, y + dir * 10, endX, y + dir * 4);
+        ctx.stroke();
+      }
+    }
+
+    if (e.value >= 2) this._drawStem(ctx, system, staff, x, e, stemUp, color);
+  }
+
+  // Seconds in a chord put one head on the other side of the stem
+  _placeHeads(heads, stemUp) {
+    const order = stemUp ? heads : heads.slice().reverse();
+    const placed = [];
+    let prev = null;
+    for (const head of order) {
+      const clash = prev && Math.abs(head.step - prev.head.step) === 1 && prev.dx === 0;
+      const entry = { head, dx: clash ? (stemUp ? 9 : -9) : 0 };
+      placed.push(entry);
+      prev = entry;
+    }
+    return placed;
+  }
+
+  _drawNotehead(ctx, x, y, hollow) {
+    ctx.beginPath();
+    ctx.ellipse(x, y, 4.8, 3.4, -0.35, 0, Math.PI * 2);
+    if (hollow) {
+      ctx.lineWidth = 1.4;
+      ctx.stroke();
+    } else {
+      ctx.fill();
+    }
+  }
+
+  _drawLedgerLines(ctx, system, staff, x, step) {
+    const bottom = STAFF_BOTTOM_STEP[staff];
+    const top = bottom + 8;
+    ctx.save();
+    ctx.strokeStyle = this.colors.staff;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let s = top + 2; s <= step; s += 2) {
+      const y = Math.round(this._stepY(system, staff, s)) + 0.5;
+      ctx.moveTo(x - 7, y);
+      ctx.lineTo(x + 7, y);
+    }
+    for (let s = bottom - 2; s >= step; s -= 2) {
+      const y = Math.round(this._stepY(system, staff, s)) + 0.5;
+      ctx.moveTo(x - 7, y);
+      ctx.lineTo(x + 7, y);
+    }
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  _drawStem(ctx, system, staff, x, e, stemUp, color) {
+    const low = this._stepY(system, staff, e.heads[0].step);
+    const high = this._stepY(system, staff, e.heads[e.heads.length - 1].step);
+    const length = 3.5 * STAFF_GAP;
+    const sx = stemUp ? x + 4.3 : x - 4.3;
+    const from = stemUp ? low : high;
+    const to = stemUp ? high - length : low + length;
+
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.2;
+    ctx.beginPath();
+    ctx.moveTo(sx, from);
+    ctx.lineTo(sx, to);
+
+    // One flag per beam an eighth or sixteenth would carry
+    const flags = e.value === 16 ? 2 : e.value === 8 ? 1 : 0;
+    const dir = stemUp ? 1 : -1;
+    for (let f = 0; f < flags; f++) {
+      const y0 = to + dir * f * 6;
+      ctx.moveTo(sx, y0);
+      ctx.quadraticCurveTo(sx + 8, y0 + dir * 6, sx + 6, y0 + dir * 14);
+    }
+    ctx.stroke();
+  }
+
+  _drawRest(ctx, system, staff, x, e) {
+    const top = this._staffTop(system, staff);
+    ctx.fillStyle = this.colors.label;
+    if (e.value <= 2) {
+      // Whole rests hang from the fourth line, half rests sit on the middle one
+      const y = e.value === 1 ? top + STAFF_GAP : top + 2 * STAFF_GAP - 3;
+      ctx.fillRect(x - 5, y, 10, 3);
+      return;
+    }
+    ctx.font = `${STAFF_GAP * 3}px ${MUSIC_FONT}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(REST_GLYPHS[e.value], x, top + 2 * STAFF_GAP);
+    if (e.dotted) ctx.fillRect(x + 6, top + 1.5 * STAFF_GAP, 2, 2);
+  }
+
+  _sourceColor(source) {
+    return this.showSourceLabels ? this.colors[source] : this.colors.original;
+  }
+
+  /* ── Interaction ── */
+
+  // Seeks to the nearest event in the clicked measure
+  _onPointerDown(e) {
+    if (e.button !== 0 || this.systems.length === 0) return;
+    const rect = this.canvas.getBoundingClientRect();
+    const x = e.clientX - rect.left;
+    const y = e.clientY - rect.top + this.scrollY;
+    const system = this.systems[Math.floor((y - SCORE_MARGIN) / SYSTEM_HEIGHT)];
+    if (!system) return;
+    const idx = system.measures.find(i => x >= this.measures[i].x && x < this.measures[i].x + this.measures[i].width);
+    if (idx === undefined) return;
+
+    const m = this.measures[idx];
+    let time = m.start;
+    let best = Infinity;
+    for (const col of m.columns) {
+      const d = Math.abs(col.x - x);
+      if (d < best) {
+        best = d;
+        time = scoreSlotTime(m, col.slot);
+      }
+    }
+    this._holdScrollUntil = 0;
+    if (this.onSeek) this.onSeek(time);
+  }
+
+  _onWheel(e) {
+    if (this._scoreHeight() <= this.displayHeight) return;
+    e.preventDefault();
+    this.scrollY += e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+    this._clampScroll();
+    this._holdScrollUntil = performance.now() + MANUAL_SCROLL_HOLD;
+    this.render();
+  }
+
+  /* ── Helpers ── */
+
+  _resize() {
+    const rect = this.wrapper.getBoundingClientRect();
+    this._dpr = window.devicePixelRatio || 1;
+    this.canvas.width = rect.width * this._dpr;
+    this.canvas.height = rect.height * this._dpr;
+    this.canvas.style.width = rect.width + 'px';
+    this.canvas.style.height = rect.height + 'px';
+    this.ctx.setTransform(this._dpr, 0, 0, this._dpr, 0, 0);
+    this.displayWidth = rect.width;
+    this.displayHeight = rect.height;
+    this._layout();
+    this._clampScroll();
+    this.render();
+  }
+
+  _debounce(fn, ms) {
+    let timer;
+    return (...args) => { clearTimeout(timer); timer = setTimeout(() => fn(...args), ms); };
+  }
+
+  destroy() {
+    window.removeEventListener('resize', this._onResize);
+  }
+}
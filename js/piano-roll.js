@@ -1,9 +1,36 @@
 /* ═══════════════════════════════════════════
    PIANO ROLL — Canvas-based MIDI visualization
    Scrolling view with piano-key strip, beat grid,
-   prime/continuation divider, color-coded notes.
+   prime/continuation divider, color-coded notes,
+   a sustain/soft pedal lane, an optional chord
+   and key lane, a draggable loop region and a
+   minimap of the whole piece.
+   Zooms and pans on both axes; notes can be
+   inspected by hovering or box-selecting.
+   Keys in the strip light up as notes sound.
    ═══════════════════════════════════════════ */
 
+const MAX_PX_PER_SEC = 1000;
+const MIN_PITCH_SPAN = 12; // semitones visible at full vertical zoom
+const STRIP_VIEWPORTS = 3; // width of the cached roll strip, in viewports
+const HARMONY_KEY_ROW = 10; // key names sit above the chord names in the lane
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+function noteName(midi) {
+  return `${NOTE_NAMES[midi % 12]}${Math.floor(midi / 12) - 1}`;
+}
+
+// Binary search for the first item (sorted by .time) at or after `time`
+function lowerBound(items, time) {
+  let lo = 0, hi = items.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (items[mid].time < time) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
 class PianoRoll {
   constructor(canvasId, wrapperId) {
     this.canvas = document.getElementById(canvasId);
@@ -11,17 +38,33 @@ class PianoRoll {
     this.ctx = this.canvas.getContext('2d');
 
     this.notes = [];
+    this._byTime = [];     // notes sorted by onset, for culling and hit-testing
+    this._maxDuration = 0; // longest note, bounds how far back an overlap can start
     this.duration = 0;
     this.primeDuration = 0;
     this.currentTime = 0;
     this.bpm = 120;
     this.beatsPerBar = 4;
+    this.beats = []; // [{ time, isBar, unit }] sorted by time; unit is the beat's note value (4 = quarter)
+    this.pedals = { sustain: [], soft: [] }; // [{ start, end, source }]
+    this.loop = null; // { start, end } in seconds
 
     // Layout
     this.keyboardWidth = 40;
+    this.pedalLaneHeight = 14; // only reserved when the piece uses pedals
+    this.harmonyLaneHeight = 24; // only reserved while showHarmony is on
+    this.minimapHeight = 18;
     this.pxPerSec = 80;
     this.scrollX = 0;
-    this.noteRange = { min: 48, max: 84 };
+    this.noteRange = { min: 48, max: 84 };     // visible pitches
+    this.fullNoteRange = { min: 48, max: 84 }; // every pitch in the piece
+    this.followPlayhead = true;
+    this._userZoomed = false;
+    this.showSourceLabels = true; // off in blind listening tests
+    this.showHarmony = false;
+    this._harmony = null; // { chords, keys }, estimated when the lane is first drawn
+    this.selection = []; // notes picked by click or box-select
+    this._selected = new Set();
 
     // Colors
     this.colors = {
@@ -40,8 +83,31 @@ class PianoRoll {
       continuation:   { h: 172, s: 65, l: 60 },
       cursor:         '#5cd6c8',
       cursorGlow:     'rgba(92, 214, 200, 0.22)',
+      pedalLaneBg:    '#0f1115',
+      harmonyLaneBg:  '#0f1115',
+      harmonyEdge:    'rgba(255, 255, 255, 0.1)',
+      harmonyChord:   'rgba(255, 255, 255, 0.55)',
+      harmonyKey:     'rgba(232, 185, 96, 0.85)',
+      loopFill:       'rgba(232, 185, 96, 0.07)',
+      loopEdge:       'rgba(232, 185, 96, 0.55)',
+      minimapView:    'rgba(255, 255, 255, 0.06)',
+      minimapEdge:    'rgba(255, 255, 255, 0.3)',
+      selection:      'rgba(255, 255, 255, 0.85)',
+      selectionBox:   'rgba(255, 255, 255, 0.06)',
     };
 
+    // Per-frame styles for sounding notes, and cached idle fills
+    this._activeStyles = {};
+    for (const source of ['original', 'continuation']) {
+      const pal = this.colors[source];
+      this._activeStyles[source] = {
+        fill: `hsla(${pal.h}, ${pal.s}%, ${pal.l + 15}%, 1)`,
+        glow: `hsla(${pal.h}, ${pal.s}%, ${pal.l}%, 0.5)`,
+      };
+    }
+    this._fillCache = new Map();
+    this._layerVersion = 0;
+
     this._dpr = window.devicePixelRatio || 1;
     this.displayWidth = 0;
     this.displayHeight = 0;
@@ -50,32 +116,72 @@ class PianoRoll {
     this._onResize = this._debounce(() => this._resize(), 150);
     window.addEventListener('resize', this._onResize);
 
-    // Click to seek
+    // Hover tooltip and selection summary sit over the canvas
+    this.tooltip = this._createOverlay('roll-tooltip');
+    this.selectionInfo = this._createOverlay('roll-selection-info');
+
+    // Click a note to select it, click empty space (or Ctrl/⌘-click
+    // anywhere) to seek, drag to select a loop region, Alt-drag to
+    // box-select notes; shift- or middle-drag pans, as does the minimap
     this.onSeek = null;
-    this.canvas.addEventListener('click', (e) => {
-      if (!this.duration || !this.onSeek) return;
-      const rect = this.canvas.getBoundingClientRect();
-      const cssX = e.clientX - rect.left;
-      if (cssX < this.keyboardWidth) return;
-      const noteAreaX = cssX - this.keyboardWidth;
-      const time = (noteAreaX + this.scrollX) / this.pxPerSec;
-      this.onSeek(Math.max(0, Math.min(time, this.duration)));
-    });
+    this.onLoopSelect = null; // ({ start, end })
+    this.onViewChange = null; // ({ pxPerSec, scrollX, followPlayhead }) after user zoom/pan
+    this.onActiveNotes = null; // (notes, { sustain, soft }) on every render
+    this._drag = null;
+    this.canvas.addEventListener('pointerdown', (e) => this._onPointerDown(e));
+    this.canvas.addEventListener('pointermove', (e) => this._onPointerMove(e));
+    this.canvas.addEventListener('pointerup', () => this._onPointerUp());
+    this.canvas.addEventListener('pointercancel', () => this._cancelDrag());
+    this.canvas.addEventListener('pointerleave', () => this._hideTooltip());
+    this.canvas.addEventListener('wheel', (e) => this._onWheel(e), { passive: false });
   }
 
   /* ── Public API ── */
 
-  setNotes(notes, duration, primeDuration, bpm, beatsPerBar) {
+  // timing: optional { ppq, tempos, timeSignatures } for pieces whose
+  // tempo or meter changes; without it the grid uses bpm/beatsPerBar.
+  setNotes(notes, duration, primeDuration, bpm, beatsPerBar, timing = null) {
     this.notes = notes;
+    this._byTime = notes.slice().sort((a, b) => a.time - b.time);
+    this._maxDuration = notes.reduce((max, n) => Math.max(max, n.duration), 0);
     this.duration = duration;
     this.primeDuration = primeDuration || 0;
     this.bpm = bpm || 120;
     this.beatsPerBar = beatsPerBar || 4;
+    this.beats = this._computeBeats(timing);
+    this._harmony = null;
+    this.pedals = { sustain: [], soft: [] };
+    this._hideTooltip();
+    this.clearSelection();
 
     this._computeNoteRange();
+    this._userZoomed = false;
     this._computeZoom();
     this.scrollX = 0;
     this.currentTime = 0;
+    this.followPlayhead = true;
+    this._invalidate();
+    this.render();
+  }
+
+  // Pedal-down regions from MidiPlayer; call after setNotes()
+  setPedals(pedals) {
+    this.pedals = pedals || { sustain: [], soft: [] };
+    this._harmony = null; // pedalled lengths count towards the chords
+    this._invalidate();
+    this.render();
+  }
+
+  // Chord and key lane between the minimap and the notes
+  setShowHarmony(on) {
+    this.showHarmony = on;
+    this._invalidate();
+    this.render();
+  }
+
+  setLoop(loop) {
+    this.loop = loop;
+    this._invalidate();
     this.render();
   }
 
@@ -85,6 +191,331 @@ class PianoRoll {
     this.render();
   }
 
+  // Time span currently on screen, in seconds
+  getVisibleRange() {
+    const viewW = this.displayWidth - this.keyboardWidth;
+    const start = this.scrollX / this.pxPerSec;
+    return { start, end: Math.min(this.duration, start + viewW / this.pxPerSec) };
+  }
+
+  clearSelection() {
+    this._setSelection([]);
+  }
+
+  // Zooms the time axis about anchorTime (default: the playhead)
+  zoomBy(factor, anchorTime = this.currentTime) {
+    if (!this.duration) return;
+    const screenX = anchorTime * this.pxPerSec - this.scrollX;
+    this.pxPerSec = Math.max(this._fitAllPxPerSec(), Math.min(this.pxPerSec * factor, MAX_PX_PER_SEC));
+    this._userZoomed = true;
+    this.scrollX = anchorTime * this.pxPerSec - screenX;
+    this._clampScroll();
+    this._emitViewChange();
+    this.render();
+  }
+
+  setFollow(on) {
+    this.followPlayhead = on;
+    if (on) this._autoScroll();
+    this._emitViewChange();
+    this.render();
+  }
+
+  // Mirrors another roll's time axis (comparison panes); does not emit
+  setView({ pxPerSec, scrollX, followPlayhead }) {
+    this.pxPerSec = pxPerSec;
+    this.scrollX = scrollX;
+    this.followPlayhead = followPlayhead;
+    this._userZoomed = true;
+    this._clampScroll();
+    this.render();
+  }
+
+  // Call after the wrapper's size changes for reasons other than a window resize
+  resize() {
+    this._resize();
+    this._autoScroll();
+    this.render();
+  }
+
+  /* ── Pointer Interaction ── */
+
+  // Time under a pointer x position, clamped to the note area and duration
+  _timeAt(clientX) {
+    const rect = this.canvas.getBoundingClientRect();
+    const noteAreaX = Math.max(0, clientX - rect.left - this.keyboardWidth);
+    const time = (noteAreaX + this.scrollX) / this.pxPerSec;
+    return Math.max(0, Math.min(time, this.duration));
+  }
+
+  // Time under a pointer x position on the minimap, which spans the whole piece
+  _minimapTimeAt(clientX) {
+    const rect = this.canvas.getBoundingClientRect();
+    const viewW = this.displayWidth - this.keyboardWidth;
+    const ratio = (clientX - rect.left - this.keyboardWidth) / viewW;
+    return Math.max(0, Math.min(ratio, 1)) * this.duration;
+  }
+
+  // MIDI note number under a pointer y position in the roll
+  _pitchAt(clientY) {
+    const rect = this.canvas.getBoundingClientRect();
+    const rollH = this._rollHeight();
+    const y = clientY - rect.top - this._rollTop();
+    const noteH = rollH / (this.noteRange.max - this.noteRange.min + 1);
+    return this.noteRange.min + Math.floor((rollH - y) / noteH);
+  }
+
+  _onPointerDown(e) {
+    if (!this.duration || (e.button !== 0 && e.button !== 1)) return;
+    const rect = this.canvas.getBoundingClientRect();
+    if (e.clientX - rect.left < this.keyboardWidth) return;
+    e.preventDefault(); // no middle-click autoscroll
+
+    if (e.clientY - rect.top < this.minimapHeight) {
+      this._drag = { mode: 'minimap' };
+      this._centerOn(this._minimapTimeAt(e.clientX));
+    } else if (e.shiftKey || e.button === 1) {
+      this._drag = {
+        mode: 'pan',
+        startX: e.clientX,
+        startY: e.clientY,
+        scrollX: this.scrollX,
+        noteRange: { ...this.noteRange },
+      };
+    } else if (e.altKey) {
+      this._drag = {
+        mode: 'box',
+        startX: e.clientX,
+        startTime: this._timeAt(e.clientX),
+        startPitch: this._pitchAt(e.clientY),
+        box: null,
+      };
+    } else {
+      this._drag = {
+        mode: 'select',
+        startX: e.clientX,
+        startTime: this._timeAt(e.clientX),
+        region: null,
+        note: e.ctrlKey || e.metaKey ? null : this._noteAt(e.clientX, e.clientY),
+      };
+    }
+    this._hideTooltip();
+    this.canvas.setPointerCapture(e.pointerId);
+  }
+
+  _onPointerMove(e) {
+    const drag = this._drag;
+    if (!drag) {
+      this._showTooltip(this._noteAt(e.clientX, e.clientY), e);
+      return;
+    }
+
+    if (drag.mode === 'minimap') {
+      this._centerOn(this._minimapTimeAt(e.clientX));
+      return;
+    }
+    if (drag.mode === 'pan') {
+      this.scrollX = drag.scrollX - (e.clientX - drag.startX);
+      const noteH = this._rollHeight() / (drag.noteRange.max - drag.noteRange.min + 1);
+      this._setPitchWindow(drag.noteRange.min + Math.round((e.clientY - drag.startY) / noteH), drag.noteRange);
+      this._stopFollowing();
+      return;
+    }
+    if (drag.mode === 'box') {
+      const time = this._timeAt(e.clientX);
+      const pitch = this._pitchAt(e.clientY);
+      drag.box = {
+        start: Math.min(drag.startTime, time),
+        end: Math.max(drag.startTime, time),
+        low: Math.min(drag.startPitch, pitch),
+        high: Math.max(drag.startPitch, pitch),
+      };
+      const { start, end, low, high } = drag.box;
+      this._setSelection(this._notesBetween(start, end).filter(n => n.midi >= low && n.midi <= high));
+      return;
+    }
+    // A few pixels of slack so a shaky click still seeks
+    if (!drag.region && Math.abs(e.clientX - drag.startX) < 4) return;
+    const time = this._timeAt(e.clientX);
+    drag.region = { start: Math.min(drag.startTime, time), end: Math.max(drag.startTime, time) };
+    this._invalidate();
+    this.render();
+  }
+
+  _onPointerUp() {
+    const drag = this._drag;
+    if (!drag) return;
+    this._drag = null;
+    if (drag.mode === 'box') {
+      if (!drag.box) this.clearSelection();
+      this._invalidate();
+      this.render();
+    }
+    if (drag.mode !== 'select') return;
+    if (drag.region) {
+      if (this.onLoopSelect) this.onLoopSelect(drag.region);
+      this._invalidate();
+      this.render();
+    } else if (drag.note) {
+      this._setSelection([drag.note]);
+    } else {
+      this.clearSelection();
+      if (this.onSeek) this.onSeek(drag.startTime);
+    }
+  }
+
+  _cancelDrag() {
+    this._drag = null;
+    this._invalidate();
+    this.render();
+  }
+
+  /* ── Note Inspection ── */
+
+  // Topmost note under the pointer, or null
+  _noteAt(clientX, clientY) {
+    const rect = this.canvas.getBoundingClientRect();
+    const y = clientY - rect.top - this._rollTop();
+    if (!this.notes.length || y < 0 || y > this._rollHeight()) return null;
+    if (clientX - rect.left < this.keyboardWidth) return null;
+
+    const time = this._timeAt(clientX);
+    const pitch = this._pitchAt(clientY);
+    const minDuration = 2 / this.pxPerSec; // notes are drawn at least 2px wide
+    let hit = null;
+    for (const note of this._notesBetween(time - minDuration, time)) {
+      if (note.midi !== pitch || time > note.time + Math.max(note.duration, minDuration)) continue;
+      hit = note;
+      // Continuation notes are drawn over prime notes
+      if (note.source === 'continuation') break;
+    }
+    return hit;
+  }
+
+  _showTooltip(note, e) {
+    this.canvas.style.cursor = note ? 'pointer' : '';
+    if (!note) {
+      this._hideTooltip();
+      return;
+    }
+
+    const source = this.showSourceLabels
+      ? ` \u00b7 ${note.source === 'original' ? 'prime' : 'continuation'}`
+      : '';
+    this.tooltip.innerHTML = [
+      `<strong>${noteName(note.midi)}</strong> \u00b7 ${note.midi}${source}`,
+      `onset ${note.time.toFixed(2)}s \u00b7 ${note.duration.toFixed(2)}s long`,
+      `velocity ${Math.round(note.velocity * 127)} \u00b7 track ${note.trackIdx}`,
+    ].map(line => `<div>${line}</div>`).join('');
+    this.tooltip.hidden = false;
+
+    // Beside the pointer, flipped left near the right edge
+    const rect = this.wrapper.getBoundingClientRect();
+    const x = e.clientX - rect.left;
+    const y = e.clientY - rect.top;
+    const flip = x + this.tooltip.offsetWidth + 16 > rect.width;
+    this.tooltip.style.left = `${flip ? x - this.tooltip.offsetWidth - 12 : x + 12}px`;
+    this.tooltip.style.top = `${Math.max(0, y - this.tooltip.offsetHeight - 8)}px`;
+  }
+
+  _hideTooltip() {
+    this.tooltip.hidden = true;
+  }
+
+  _setSelection(notes) {
+    this.selection = notes;
+    this._selected = new Set(notes);
+    this._renderSelectionInfo();
+    this._invalidate();
+    this.render();
+  }
+
+  _renderSelectionInfo() {
+    const notes = this.selection;
+    this.selectionInfo.hidden = notes.length === 0;
+    if (!notes.length) return;
+
+    let low = 127, high = 0, velocity = 0, prime = 0;
+    for (const n of notes) {
+      low = Math.min(low, n.midi);
+      high = Math.max(high, n.midi);
+      velocity += n.velocity;
+      if (n.source === 'original') prime++;
+    }
+    const range = low === high ? noteName(low) : `${noteName(low)}\u2013${noteName(high)}`;
+    const lines = [
+      `<strong>${notes.length} note${notes.length === 1 ? '' : 's'}</strong> \u00b7 ${range}`,
+      `mean velocity ${Math.round(velocity / notes.length * 127)}`,
+    ];
+    if (this.showSourceLabels) lines.push(`prime ${prime} \u00b7 continuation ${notes.length - prime}`);
+    this.selectionInfo.innerHTML = lines.map(line => `<div>${line}</div>`).join('');
+  }
+
+  /* Ctrl/⌘+wheel (and trackpad pinch, which arrives as ctrl+wheel) zooms
+     time, Alt+wheel zooms pitch, shift+wheel or a horizontal swipe pans.
+     Plain vertical wheel is left alone so the page still scrolls. */
+  _onWheel(e) {
+    if (!this.duration) return;
+    const delta = (e.deltaMode === 1 ? 16 : 1) * (e.deltaY || e.deltaX);
+
+    if (e.ctrlKey || e.metaKey) {
+      e.preventDefault();
+      // While following, anchor on the playhead so the view doesn't jump back
+      const anchor = this.followPlayhead ? this.currentTime : this._timeAt(e.clientX);
+      this.zoomBy(Math.exp(-delta * 0.002), anchor);
+    } else if (e.altKey) {
+      e.preventDefault();
+      this._zoomPitch(Math.exp(delta * 0.002), this._pitchAt(e.clientY));
+    } else if (e.shiftKey || Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+      e.preventDefault();
+      this.scrollX += delta;
+      this._stopFollowing();
+    }
+  }
+
+  _centerOn(time) {
+    const viewW = this.displayWidth - this.keyboardWidth;
+    this.scrollX = time * this.pxPerSec - viewW / 2;
+    this._stopFollowing();
+  }
+
+  // Manual panning detaches the view from the playhead until re-enabled
+  _stopFollowing() {
+    this.followPlayhead = false;
+    this._clampScroll();
+    this._emitViewChange();
+    this.render();
+  }
+
+  _emitViewChange() {
+    if (this.onViewChange) {
+      this.onViewChange({ pxPerSec: this.pxPerSec, scrollX: this.scrollX, followPlayhead: this.followPlayhead });
+    }
+  }
+
+  /* ── Vertical Range ── */
+
+  _zoomPitch(factor, anchorMidi) {
+    const full = this.fullNoteRange;
+    const fullSpan = full.max - full.min + 1;
+    const span = this.noteRange.max - this.noteRange.min + 1;
+    const newSpan = Math.max(Math.min(MIN_PITCH_SPAN, fullSpan), Math.min(Math.round(span * factor), fullSpan));
+    if (newSpan === span) return;
+
+    // Keep the pitch under the pointer where it is
+    const below = (anchorMidi - this.noteRange.min) * newSpan / span;
+    const min = Math.round(anchorMidi - below);
+    this._setPitchWindow(min, { min, max: min + newSpan - 1 });
+    this.render();
+  }
+
+  // Moves a window of the given span so it starts at min, inside the full range
+  _setPitchWindow(min, span) {
+    const size = span.max - span.min;
+    const lo = Math.max(this.fullNoteRange.min, Math.min(min, this.fullNoteRange.max - size));
+    this.noteRange = { min: lo, max: lo + size };
+  }
+
   /* ── Layout Calculations ── */
 
   _computeNoteRange() {
@@ -98,10 +529,11 @@ class PianoRoll {
       if (n.midi > max) max = n.midi;
     }
     // Pad by a few semitones for breathing room
-    this.noteRange = {
+    this.fullNoteRange = {
       min: Math.max(21, min - 3),
       max: Math.min(108, max + 3),
     };
+    this.noteRange = { ...this.fullNoteRange };
   }
 
   _computeZoom() {
@@ -110,114 +542,376 @@ class PianoRoll {
       this.pxPerSec = 80;
       return;
     }
-    const fitAll = viewW / this.duration;
+    const fitAll = this._fitAllPxPerSec();
+    if (this._userZoomed) {
+      // Keep the user's zoom, but never narrower than the whole piece
+      this.pxPerSec = Math.max(fitAll, this.pxPerSec);
+      return;
+    }
     const comfortable = viewW / 10; // ~10 seconds visible
     // Use comfortable zoom, or fit-all if the piece is short enough
     this.pxPerSec = Math.max(fitAll, Math.min(comfortable, 140));
   }
 
+  _fitAllPxPerSec() {
+    return (this.displayWidth - this.keyboardWidth) / this.duration;
+  }
+
   _autoScroll() {
+    if (this.followPlayhead) {
+      // Keep cursor at ~30% from left edge
+      const viewW = this.displayWidth - this.keyboardWidth;
+      this.scrollX = this.currentTime * this.pxPerSec - viewW * 0.3;
+    }
+    this._clampScroll();
+  }
+
+  _clampScroll() {
     const viewW = this.displayWidth - this.keyboardWidth;
-    const totalW = this.duration * this.pxPerSec;
-    if (totalW <= viewW) {
-      this.scrollX = 0;
-      return;
+    const maxScroll = Math.max(0, this.duration * this.pxPerSec - viewW);
+    this.scrollX = Math.max(0, Math.min(this.scrollX, maxScroll));
+  }
+
+  _rollHeight() {
+    return this.displayHeight - this._rollTop() - (this._hasPedals() ? this.pedalLaneHeight : 0);
+  }
+
+  // Canvas y where the note area starts, under the minimap and chord lane
+  _rollTop() {
+    return this.minimapHeight + (this.showHarmony ? this.harmonyLaneHeight : 0);
+  }
+
+  /* ── Beat Grid ──
+     Beats are laid out in ticks per time-signature segment (so a meter
+     change restarts bar counting), then mapped to seconds through the
+     tempo map so lines stay on the music through tempo changes. */
+
+  _computeBeats(timing) {
+    if (this.duration <= 0) return [];
+
+    const ppq = timing && timing.ppq ? timing.ppq : 480;
+    const tempos = timing && timing.tempos.length ? timing.tempos : [{ ticks: 0, bpm: this.bpm }];
+    const sigs = timing && timing.timeSignatures.length
+      ? timing.timeSignatures
+      : [{ ticks: 0, timeSignature: [this.beatsPerBar, 4] }];
+
+    // Seconds at the start of each tempo segment
+    const tempoMap = [];
+    let secs = 0;
+    tempos.forEach((t, i) => {
+      if (i > 0) {
+        const prev = tempos[i - 1];
+        secs += (t.ticks - prev.ticks) / ppq * 60 / prev.bpm;
+      }
+      tempoMap.push({ ticks: t.ticks, bpm: t.bpm, time: secs });
+    });
+    if (tempoMap[0].ticks > 0) tempoMap.unshift({ ticks: 0, bpm: tempoMap[0].bpm, time: 0 });
+
+    let tempoIdx = 0;
+    const ticksToSeconds = (ticks) => {
+      // Beats are generated in order, so the tempo cursor only moves forward
+      while (tempoIdx + 1 < tempoMap.length && tempoMap[tempoIdx + 1].ticks <= ticks) tempoIdx++;
+      const t = tempoMap[tempoIdx];
+      return t.time + (ticks - t.ticks) / ppq * 60 / t.bpm;
+    };
+
+    const beats = [];
+    const segments = sigs[0].ticks > 0 ? [{ ticks: 0, timeSignature: sigs[0].timeSignature }, ...sigs] : sigs;
+    for (let s = 0; s < segments.length; s++) {
+      const [num, den] = segments[s].timeSignature;
+      const beatTicks = ppq * 4 / (den || 4);
+      const segEnd = s + 1 < segments.length ? segments[s + 1].ticks : Infinity;
+
+      for (let k = 0; ; k++) {
+        const ticks = segments[s].ticks + k * beatTicks;
+        if (ticks >= segEnd) break;
+        const time = ticksToSeconds(ticks);
+        if (time > this.duration) return beats;
+        beats.push({ time, isBar: k % (num || 4) === 0, unit: den || 4 });
+      }
+    }
+    return beats;
+  }
+
+  // Notes overlapping [start, end], found through the onset index
+  _notesBetween(start, end) {
+    const notes = this._byTime;
+    const found = [];
+    for (let i = lowerBound(notes, start - this._maxDuration); i < notes.length && notes[i].time <= end; i++) {
+      if (notes[i].time + notes[i].duration >= start) found.push(notes[i]);
     }
-    // Keep cursor at ~30% from left edge
-    const cursorPx = this.currentTime * this.pxPerSec;
-    const target = cursorPx - viewW * 0.3;
-    this.scrollX = Math.max(0, Math.min(target, totalW - viewW));
+    return found;
   }
 
-  /* ── Rendering ── */
+  /* ── Rendering ──
+     Everything that doesn't move with the playhead is drawn once into
+     offscreen layers: the minimap, the key strip, and a strip of the
+     roll a few viewports wide. Each frame blits those and paints only
+     the playhead, the sounding notes and the minimap window on top.
+     Layers rebuild when their cache key changes (zoom, pitch window,
+     size) or after _invalidate() (notes, pedals, loop, selection). */
 
   render() {
     const ctx = this.ctx;
     const w = this.displayWidth;
-    const h = this.displayHeight;
-    if (!w || !h) return;
+    if (!w || !this.displayHeight) {
+      // Hidden behind the notation view: the keyboard still follows along
+      if (this.onActiveNotes && this.notes.length) {
+        this.onActiveNotes(this._notesBetween(this.currentTime, this.currentTime), this._pedalsAt(this.currentTime));
+      }
+      return;
+    }
 
-    const noteSpan = this.noteRange.max - this.noteRange.min + 1;
-    const noteH = h / noteSpan;
-    const kw = this.keyboardWidth;
-    const viewW = w - kw;
+    if (this.notes.length === 0 || this.duration === 0) {
+      ctx.fillStyle = this.colors.bg;
+      ctx.fillRect(0, 0, w, this.displayHeight);
+      if (this.onActiveNotes) this.onActiveNotes([], { sustain: null, soft: null });
+      return;
+    }
 
-    // 1. Background
-    ctx.fillStyle = this.colors.bg;
-    ctx.fillRect(0, 0, w, h);
+    const L = this._layout();
+    const dpr = this._dpr;
+    const active = this._notesBetween(this.currentTime, this.currentTime);
 
-    if (this.notes.length === 0 || this.duration === 0) return;
+    // 1. Overview strip along the top
+    ctx.drawImage(this._minimapLayer(L), 0, 0, w, L.mmH);
+    this._drawMinimapWindow(ctx, L);
 
-    // 2. Note area (clipped to right of keyboard)
+    // 2. Chord lane and note area (below the minimap, clipped to right of keyboard)
+    const strip = this._stripLayer(L);
+    const stripH = L.chordH + L.h;
     ctx.save();
+    ctx.translate(0, L.mmH);
     ctx.beginPath();
-    ctx.rect(kw, 0, viewW, h);
+    ctx.rect(L.kw, 0, L.viewW, stripH);
     ctx.clip();
+    ctx.drawImage(
+      strip.canvas,
+      (this.scrollX - strip.x0) * dpr, 0, L.viewW * dpr, stripH * dpr,
+      L.kw, 0, L.viewW, stripH,
+    );
+    ctx.translate(0, L.chordH);
+    const frame = this._frame(L, L.kw - this.scrollX, L.kw, L.viewW);
+    this._drawActiveNotes(ctx, frame, active);
+    this._drawCursor(ctx, frame);
+    ctx.restore();
 
-    this._drawBlackKeyRows(ctx, kw, viewW, h, noteH, noteSpan);
-    this._drawGrid(ctx, kw, viewW, h, noteH);
-    this._drawDivider(ctx, kw, h);
-    this._drawNotes(ctx, kw, viewW, h, noteH);
-    this._drawCursor(ctx, kw, viewW, h);
+    // 3. Piano key strip, with sounding keys lit
+    ctx.drawImage(this._keysLayer(L), 0, L.mmH, L.kw, L.chordH + L.h);
+    this._drawActiveKeys(ctx, L, active);
 
-    ctx.restore();
+    if (this.onActiveNotes) this.onActiveNotes(active, this._pedalsAt(this.currentTime));
+  }
+
+  _layout() {
+    const w = this.displayWidth;
+    const kw = this.keyboardWidth;
+    const mmH = this.minimapHeight;
+    const chordH = this.showHarmony ? this.harmonyLaneHeight : 0;
+    const top = mmH + chordH;
+    const h = this.displayHeight - top;
+    const laneH = this._hasPedals() ? this.pedalLaneHeight : 0;
+    const rollH = h - laneH;
+    const noteSpan = this.noteRange.max - this.noteRange.min + 1;
+    return { w, kw, viewW: w - kw, mmH, chordH, top, h, laneH, rollH, noteSpan, noteH: rollH / noteSpan };
+  }
+
+  // Geometry for drawing a span of the roll: screen x of time t is
+  // originX + t * pxPerSec, and [left, left + width) is the area to fill.
+  _frame(L, originX, left, width) {
+    return {
+      ...L,
+      originX,
+      left,
+      width,
+      startTime: (left - originX) / this.pxPerSec,
+      endTime: (left + width - originX) / this.pxPerSec,
+    };
+  }
+
+  _invalidate() {
+    this._layerVersion = (this._layerVersion || 0) + 1;
+  }
+
+  // Returns { canvas, ctx } sized for cssW × cssH at the current pixel ratio
+  _layerCanvas(layer, cssW, cssH) {
+    const canvas = layer ? layer.canvas : document.createElement('canvas');
+    canvas.width = Math.ceil(cssW * this._dpr);
+    canvas.height = Math.ceil(cssH * this._dpr);
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(this._dpr, 0, 0, this._dpr, 0, 0);
+    return { canvas, ctx };
+  }
+
+  _layerKey(L, ...extra) {
+    return [this._layerVersion, this._dpr, L.w, L.h, L.chordH, L.laneH, this.noteRange.min, this.noteRange.max, ...extra].join('|');
+  }
+
+  _stripLayer(L) {
+    const totalW = this.duration * this.pxPerSec;
+    const key = this._layerKey(L, this.pxPerSec, this.showSourceLabels);
+    const s = this._strip;
+    if (s && s.key === key && this.scrollX >= s.x0 && this.scrollX + L.viewW <= s.x0 + s.width) return s;
+
+    // Centre a window a few viewports wide on the current view
+    const width = Math.max(L.viewW, Math.min(totalW, L.viewW * STRIP_VIEWPORTS));
+    const x0 = Math.max(0, Math.min(this.scrollX - (width - L.viewW) / 2, totalW - width));
+    const { canvas, ctx } = this._layerCanvas(s, width, L.chordH + L.h);
+    const frame = this._frame(L, -x0, 0, width);
+
+    // The chord lane sits above the roll; everything else is drawn below it
+    if (L.chordH) {
+      this._drawHarmonyLane(ctx, frame);
+      ctx.translate(0, L.chordH);
+    }
+    ctx.fillStyle = this.colors.bg;
+    ctx.fillRect(0, 0, width, L.h);
+    this._drawBlackKeyRows(ctx, frame);
+    this._drawLoopRegion(ctx, frame);
+    if (L.laneH) this._drawPedalLane(ctx, frame);
+    this._drawGrid(ctx, frame);
+    this._drawDivider(ctx, frame);
+    this._drawNotes(ctx, frame);
+    this._drawSelectionBox(ctx, frame);
+
+    this._strip = { canvas, key, x0, width };
+    return this._strip;
+  }
+
+  _keysLayer(L) {
+    const key = this._layerKey(L);
+    if (this._keys && this._keys.key === key) return this._keys.canvas;
+
+    const { canvas, ctx } = this._layerCanvas(this._keys, L.kw, L.chordH + L.h);
+    if (L.chordH) {
+      this._drawHarmonyLabel(ctx, L);
+      ctx.translate(0, L.chordH);
+    }
+    this._drawKeyboard(ctx, L);
+    if (L.laneH) this._drawPedalLabel(ctx, L);
+    this._keys = { canvas, key };
+    return canvas;
+  }
+
+  _minimapLayer(L) {
+    const key = this._layerKey(L);
+    if (this._minimap && this._minimap.key === key) return this._minimap.canvas;
 
-    // 3. Piano key strip (drawn last, on top)
-    this._drawKeyboard(ctx, kw, h, noteH, noteSpan);
+    const { canvas, ctx } = this._layerCanvas(this._minimap, L.w, L.mmH);
+    this._drawMinimap(ctx, L);
+    this._minimap = { canvas, key };
+    return canvas;
   }
 
-  _drawBlackKeyRows(ctx, kw, viewW, h, noteH, noteSpan) {
+  _drawMinimap(ctx, L) {
+    const { kw, viewW, mmH } = L;
+    ctx.fillStyle = this.colors.keyBg;
+    ctx.fillRect(0, 0, kw + viewW, mmH);
+
+    const xAt = (t) => kw + (t / this.duration) * viewW;
+    const full = this.fullNoteRange;
+    const span = full.max - full.min + 1;
+    const innerH = mmH - 4;
+
+    for (const source of ['original', 'continuation']) {
+      const pal = this.colors[source];
+      ctx.fillStyle = `hsla(${pal.h}, ${pal.s}%, ${pal.l}%, 0.6)`;
+      for (const note of this.notes) {
+        if (note.source !== source) continue;
+        const y = 2 + innerH * (1 - (note.midi - full.min + 1) / span);
+        ctx.fillRect(xAt(note.time), y, Math.max(1, (note.duration / this.duration) * viewW), 1.5);
+      }
+    }
+
+    ctx.strokeStyle = this.colors.keyBorder;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(0, mmH - 0.5);
+    ctx.lineTo(kw + viewW, mmH - 0.5);
+    ctx.stroke();
+  }
+
+  // Visible window and playhead over the cached minimap
+  _drawMinimapWindow(ctx, L) {
+    const { kw, viewW, mmH } = L;
+    const xAt = (t) => kw + (t / this.duration) * viewW;
+
+    const { start, end } = this.getVisibleRange();
+    const x1 = xAt(start);
+    const x2 = xAt(end);
+    ctx.fillStyle = this.colors.minimapView;
+    ctx.fillRect(x1, 0, x2 - x1, mmH);
+    ctx.strokeStyle = this.colors.minimapEdge;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x1 + 0.5, 0.5, Math.max(1, x2 - x1 - 1), mmH - 1);
+
+    ctx.fillStyle = this.colors.cursor;
+    ctx.fillRect(xAt(this.currentTime) - 0.5, 0, 1, mmH);
+  }
+
+  _drawBlackKeyRows(ctx, f) {
     ctx.fillStyle = this.colors.blackKeyRow;
-    for (let i = 0; i < noteSpan; i++) {
+    for (let i = 0; i < f.noteSpan; i++) {
       if (this._isBlackKey(this.noteRange.min + i)) {
-        const y = h - (i + 1) * noteH;
-        ctx.fillRect(kw, y, viewW, noteH);
+        const y = f.rollH - (i + 1) * f.noteH;
+        ctx.fillRect(f.left, y, f.width, f.noteH);
       }
     }
   }
 
-  _drawGrid(ctx, kw, viewW, h, noteH) {
+  _drawGrid(ctx, f) {
     // Horizontal: octave lines at each C
     ctx.lineWidth = 0.5;
+    ctx.strokeStyle = this.colors.gridOctave;
     for (let midi = this.noteRange.min; midi <= this.noteRange.max; midi++) {
       if (midi % 12 === 0) {
-        ctx.strokeStyle = this.colors.gridOctave;
         const i = midi - this.noteRange.min;
-        const y = h - i * noteH;
+        const y = f.rollH - i * f.noteH;
         ctx.beginPath();
-        ctx.moveTo(kw, y);
-        ctx.lineTo(kw + viewW, y);
+        ctx.moveTo(f.left, y);
+        ctx.lineTo(f.left + f.width, y);
         ctx.stroke();
       }
     }
 
     // Vertical: beat and bar lines
-    const beatDur = 60 / this.bpm;
-    const viewStartTime = this.scrollX / this.pxPerSec;
-    const viewEndTime = (this.scrollX + viewW) / this.pxPerSec;
-
-    const firstBeat = Math.floor(viewStartTime / beatDur);
-    const lastBeat = Math.ceil(viewEndTime / beatDur);
-
-    for (let b = firstBeat; b <= lastBeat; b++) {
-      if (b < 0) continue;
-      const t = b * beatDur;
-      const x = kw + t * this.pxPerSec - this.scrollX;
-      const isBar = b % this.beatsPerBar === 0;
+    for (let i = lowerBound(this.beats, f.startTime); i < this.beats.length; i++) {
+      const beat = this.beats[i];
+      if (beat.time > f.endTime) break;
+      const x = f.originX + beat.time * this.pxPerSec;
 
-      ctx.strokeStyle = isBar ? this.colors.gridBar : this.colors.gridBeat;
-      ctx.lineWidth = isBar ? 0.8 : 0.5;
+      ctx.strokeStyle = beat.isBar ? this.colors.gridBar : this.colors.gridBeat;
+      ctx.lineWidth = beat.isBar ? 0.8 : 0.5;
       ctx.beginPath();
       ctx.moveTo(x, 0);
-      ctx.lineTo(x, h);
+      ctx.lineTo(x, f.h);
       ctx.stroke();
     }
   }
 
-  _drawDivider(ctx, kw, h) {
+  _drawLoopRegion(ctx, f) {
+    const region = (this._drag && this._drag.region) || this.loop;
+    if (!region) return;
+
+    const x1 = f.originX + region.start * this.pxPerSec;
+    const x2 = f.originX + region.end * this.pxPerSec;
+    ctx.fillStyle = this.colors.loopFill;
+    ctx.fillRect(x1, 0, x2 - x1, f.h);
+
+    ctx.strokeStyle = this.colors.loopEdge;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x1, 0);
+    ctx.lineTo(x1, f.h);
+    ctx.moveTo(x2, 0);
+    ctx.lineTo(x2, f.h);
+    ctx.stroke();
+  }
+
+  _drawDivider(ctx, f) {
     if (this.primeDuration <= 0) return;
 
-    const x = kw + this.primeDuration * this.pxPerSec - this.scrollX;
+    const x = f.originX + this.primeDuration * this.pxPerSec;
 
     // Dashed line
     ctx.save();
@@ -226,12 +920,15 @@ class PianoRoll {
     ctx.lineWidth = 1;
     ctx.beginPath();
     ctx.moveTo(x, 0);
-    ctx.lineTo(x, h);
+    ctx.lineTo(x, f.h);
     ctx.stroke();
     ctx.restore();
 
+    if (!this.showSourceLabels) return;
+
     // Labels
     ctx.font = '10px "JetBrains Mono", monospace';
+    ctx.textBaseline = 'alphabetic';
     ctx.fillStyle = 'rgba(111, 163, 247, 0.35)';
     ctx.textAlign = 'right';
     ctx.fillText('prime', x - 6, 14);
@@ -240,53 +937,113 @@ class PianoRoll {
     ctx.fillText('continuation', x + 6, 14);
   }
 
-  _drawNotes(ctx, kw, viewW, h, noteH) {
-    const viewStartTime = this.scrollX / this.pxPerSec;
-    const viewEndTime = (this.scrollX + viewW) / this.pxPerSec;
+  _drawNotes(ctx, f) {
+    const visible = this._notesBetween(f.startTime, f.endTime);
 
-    // Draw in two passes (original then continuation) to batch fillStyle changes
+    // Draw in two passes (original then continuation) so continuations sit on top
     for (const source of ['original', 'continuation']) {
-      const pal = this.colors[source];
-
-      for (const note of this.notes) {
+      for (const note of visible) {
         if (note.source !== source) continue;
 
-        // Cull notes outside viewport
-        if (note.time + note.duration < viewStartTime) continue;
-        if (note.time > viewEndTime) continue;
-
-        const x = kw + note.time * this.pxPerSec - this.scrollX;
-        const noteW = Math.max(2, note.duration * this.pxPerSec);
-        const i = note.midi - this.noteRange.min;
-        const y = h - (i + 1) * noteH;
-        const r = Math.min(2, noteH / 3, noteW / 3);
-
-        const vel = 0.4 + note.velocity * 0.6;
-        const isActive =
-          this.currentTime >= note.time &&
-          this.currentTime <= note.time + note.duration;
-
-        if (isActive) {
-          ctx.fillStyle = `hsla(${pal.h}, ${pal.s}%, ${pal.l + 15}%, 1)`;
-          ctx.shadowColor = `hsla(${pal.h}, ${pal.s}%, ${pal.l}%, 0.5)`;
-          ctx.shadowBlur = 6;
-        } else {
-          ctx.fillStyle = `hsla(${pal.h}, ${pal.s}%, ${pal.l}%, ${vel})`;
-          ctx.shadowBlur = 0;
-        }
-
-        this._roundRect(ctx, x, y + 0.5, noteW, noteH - 1, r);
+        this._notePath(ctx, f, note);
+        ctx.fillStyle = this._noteFill(source, note.velocity);
         ctx.fill();
-        ctx.shadowBlur = 0;
+
+        if (this._selected.has(note)) {
+          ctx.strokeStyle = this.colors.selection;
+          ctx.lineWidth = 1;
+          ctx.stroke();
+        }
       }
     }
   }
 
-  _drawCursor(ctx, kw, viewW, h) {
-    if (this.duration <= 0) return;
+  // Notes sounding at the playhead, drawn brighter over the cached strip
+  _drawActiveNotes(ctx, f, active) {
+    if (!active.length) return;
+
+    ctx.shadowBlur = 6;
+    for (const note of active) {
+      const style = this._activeStyles[note.source];
+      this._notePath(ctx, f, note);
+      ctx.fillStyle = style.fill;
+      ctx.shadowColor = style.glow;
+      ctx.fill();
+    }
+    ctx.shadowBlur = 0;
+  }
+
+  _notePath(ctx, f, note) {
+    const x = f.originX + note.time * this.pxPerSec;
+    const noteW = Math.max(2, note.duration * this.pxPerSec);
+    const y = f.rollH - (note.midi - this.noteRange.min + 1) * f.noteH;
+    const r = Math.min(2, f.noteH / 3, noteW / 3);
+    this._roundRect(ctx, x, y + 0.5, noteW, f.noteH - 1, r);
+  }
 
-    const cx = kw + this.currentTime * this.pxPerSec - this.scrollX;
-    if (cx < kw || cx > kw + viewW) return;
+  // Fill strings are built once per source and velocity step
+  _noteFill(source, velocity) {
+    const step = Math.round(velocity * 32);
+    const key = `${source}:${step}`;
+    let fill = this._fillCache.get(key);
+    if (!fill) {
+      const pal = this.colors[source];
+      fill = `hsla(${pal.h}, ${pal.s}%, ${pal.l}%, ${0.4 + (step / 32) * 0.6})`;
+      this._fillCache.set(key, fill);
+    }
+    return fill;
+  }
+
+  _drawSelectionBox(ctx, f) {
+    const box = this._drag && this._drag.box;
+    if (!box) return;
+
+    const x1 = f.originX + box.start * this.pxPerSec;
+    const x2 = f.originX + box.end * this.pxPerSec;
+    const y1 = f.rollH - (box.high - this.noteRange.min + 1) * f.noteH;
+    const y2 = f.rollH - (box.low - this.noteRange.min) * f.noteH;
+    ctx.fillStyle = this.colors.selectionBox;
+    ctx.fillRect(x1, y1, x2 - x1, y2 - y1);
+    ctx.strokeStyle = this.colors.selection;
+    ctx.lineWidth = 1;
+    ctx.setLineDash([3, 3]);
+    ctx.strokeRect(x1 + 0.5, y1 + 0.5, x2 - x1, y2 - y1);
+    ctx.setLineDash([]);
+  }
+
+  /* Sustain fills the lane; soft pedal is a thin strip along its bottom.
+     Regions take the colour of the section they start in. */
+  _drawPedalLane(ctx, f) {
+    const top = f.rollH;
+    const laneH = f.laneH;
+    ctx.fillStyle = this.colors.pedalLaneBg;
+    ctx.fillRect(f.left, top, f.width, laneH);
+
+    const drawRegions = (regions, y, height, alpha) => {
+      for (const p of regions) {
+        if (p.end < f.startTime || p.start > f.endTime) continue;
+        const pal = this.colors[p.source];
+        const x = f.originX + p.start * this.pxPerSec;
+        const regionW = Math.max(1, (p.end - p.start) * this.pxPerSec);
+        ctx.fillStyle = `hsla(${pal.h}, ${pal.s}%, ${pal.l}%, ${alpha})`;
+        ctx.fillRect(x, y, regionW, height);
+      }
+    };
+
+    drawRegions(this.pedals.sustain, top + 3, laneH - 7, 0.35);
+    drawRegions(this.pedals.soft, top + laneH - 3, 2, 0.7);
+
+    ctx.strokeStyle = this.colors.keyBorder;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(f.left, top + 0.5);
+    ctx.lineTo(f.left + f.width, top + 0.5);
+    ctx.stroke();
+  }
+
+  _drawCursor(ctx, f) {
+    const cx = f.originX + this.currentTime * this.pxPerSec;
+    if (cx < f.left || cx > f.left + f.width) return;
 
     // Glow
     const grad = ctx.createLinearGradient(cx - 15, 0, cx + 15, 0);
@@ -294,34 +1051,36 @@ class PianoRoll {
     grad.addColorStop(0.5, this.colors.cursorGlow);
     grad.addColorStop(1, 'rgba(92, 214, 200, 0)');
     ctx.fillStyle = grad;
-    ctx.fillRect(cx - 15, 0, 30, h);
+    ctx.fillRect(cx - 15, 0, 30, f.h);
 
     // Line
     ctx.strokeStyle = this.colors.cursor;
     ctx.lineWidth = 1.5;
     ctx.beginPath();
     ctx.moveTo(cx, 0);
-    ctx.lineTo(cx, h);
+    ctx.lineTo(cx, f.h);
     ctx.stroke();
   }
 
-  _drawKeyboard(ctx, kw, h, noteH, noteSpan) {
+  _drawKeyboard(ctx, L) {
+    const { kw, rollH, noteH, noteSpan } = L;
+
     // Solid background to cover any note bleed
     ctx.fillStyle = this.colors.keyBg;
-    ctx.fillRect(0, 0, kw, h);
+    ctx.fillRect(0, 0, kw, rollH);
 
     // Separator line
     ctx.strokeStyle = this.colors.keyBorder;
     ctx.lineWidth = 1;
     ctx.beginPath();
     ctx.moveTo(kw - 0.5, 0);
-    ctx.lineTo(kw - 0.5, h);
+    ctx.lineTo(kw - 0.5, rollH);
     ctx.stroke();
 
     // Individual key rows
     for (let i = 0; i < noteSpan; i++) {
       const midi = this.noteRange.min + i;
-      const y = h - (i + 1) * noteH;
+      const y = rollH - (i + 1) * noteH;
       const isBlack = this._isBlackKey(midi);
 
       ctx.fillStyle = isBlack ? this.colors.blackKey : this.colors.whiteKey;
@@ -340,8 +1099,122 @@ class PianoRoll {
     }
   }
 
+  _drawActiveKeys(ctx, L, active) {
+    ctx.save();
+    ctx.translate(0, L.top);
+    ctx.globalAlpha = 0.8;
+    for (const note of active) {
+      if (note.midi < this.noteRange.min || note.midi > this.noteRange.max) continue;
+      const y = L.rollH - (note.midi - this.noteRange.min + 1) * L.noteH;
+      ctx.fillStyle = this._activeStyles[note.source].fill;
+      ctx.fillRect(0, y + 0.5, L.kw - 1, L.noteH - 1);
+    }
+    ctx.restore();
+  }
+
+  _drawPedalLabel(ctx, L) {
+    const { kw, rollH: top, laneH } = L;
+    ctx.fillStyle = this.colors.keyBg;
+    ctx.fillRect(0, top, kw - 1, laneH);
+    ctx.fillStyle = this.colors.keyLabel;
+    ctx.font = '8px "JetBrains Mono", monospace';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('Ped.', kw - 4, top + laneH / 2);
+  }
+
+  /* Key changes along the top row, chords below, as estimated by
+     analysis.js from the beat grid. Chord names that don't fit their
+     span are left out until zoomed in. */
+  _drawHarmonyLane(ctx, f) {
+    const { chords, keys } = this._harmonyAnalysis();
+    const keyH = HARMONY_KEY_ROW;
+    const chordY = keyH + (f.chordH - keyH) / 2;
+    ctx.fillStyle = this.colors.harmonyLaneBg;
+    ctx.fillRect(f.left, 0, f.width, f.chordH);
+
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.font = '9px "JetBrains Mono", monospace';
+    for (const chord of chords) {
+      if (chord.end < f.startTime || chord.start > f.endTime) continue;
+      const x1 = f.originX + chord.start * this.pxPerSec;
+      const x2 = f.originX + chord.end * this.pxPerSec;
+      ctx.fillStyle = this.colors.harmonyEdge;
+      ctx.fillRect(x1, keyH, 1, f.chordH - keyH - 2);
+      if (x2 - x1 < ctx.measureText(chord.name).width + 6) continue;
+      ctx.fillStyle = this._harmonyFill(chord.start);
+      ctx.fillText(chord.name, x1 + 3, chordY);
+    }
+
+    ctx.font = '8px "JetBrains Mono", monospace';
+    ctx.fillStyle = this.colors.harmonyKey;
+    for (const { time, key } of keys) {
+      const x = f.originX + time * this.pxPerSec;
+      if (x > f.left + f.width) break;
+      ctx.fillRect(x, 0, 1, f.chordH);
+      ctx.fillText(key.name, x + 3, keyH / 2 + 1);
+    }
+
+    ctx.strokeStyle = this.colors.keyBorder;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(f.left, f.chordH - 0.5);
+    ctx.lineTo(f.left + f.width, f.chordH - 0.5);
+    ctx.stroke();
+  }
+
+  // Chord names take their section's colour, unless sources are hidden
+  _harmonyFill(time) {
+    if (!this.showSourceLabels) return this.colors.harmonyChord;
+    const pal = this.colors[time < this.primeDuration ? 'original' : 'continuation'];
+    return `hsla(${pal.h}, ${pal.s}%, ${pal.l}%, 0.85)`;
+  }
+
+  _harmonyAnalysis() {
+    if (!this._harmony) {
+      this._harmony = {
+        chords: estimateChords(this.notes, this.beats, this.duration),
+        keys: detectKeyChanges(this.notes, this.beats, this.duration),
+      };
+    }
+    return this._harmony;
+  }
+
+  _drawHarmonyLabel(ctx, L) {
+    ctx.fillStyle = this.colors.keyBg;
+    ctx.fillRect(0, 0, L.kw - 1, L.chordH);
+    ctx.fillStyle = this.colors.keyLabel;
+    ctx.font = '8px "JetBrains Mono", monospace';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('Key', L.kw - 4, HARMONY_KEY_ROW / 2);
+    ctx.fillText('Chord', L.kw - 4, HARMONY_KEY_ROW + (L.chordH - HARMONY_KEY_ROW) / 2);
+  }
+
   /* ── Helpers ── */
 
+  _createOverlay(className) {
+    const el = document.createElement('div');
+    el.className = className;
+    el.hidden = true;
+    this.wrapper.appendChild(el);
+    return el;
+  }
+
+  // Source of the sustain/soft pedal held at `time`, or null
+  _pedalsAt(time) {
+    const held = (regions) => {
+      const p = regions.find(r => r.start <= time && time < r.end);
+      return p ? p.source : null;
+    };
+    return { sustain: held(this.pedals.sustain), soft: held(this.pedals.soft) };
+  }
+
+  _hasPedals() {
+    return this.pedals.sustain.length > 0 || this.pedals.soft.length > 0;
+  }
+
   _isBlackKey(midi) {
     const pc = midi % 12;
     return pc === 1 || pc === 3 || pc === 6 || pc === 8 || pc === 10;
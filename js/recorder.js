@@ -0,0 +1,271 @@
+/* ═══════════════════════════════════════════
+   RECORDER — Live prime capture
+   Records a prime from Web MIDI input or the
+   on-screen keyboard against a metronome and
+   count-in, and writes it out in the same shape
+   as the *_clean_prime.mid files in public_gens/.
+   ═══════════════════════════════════════════ */
+
+const PRIME_PPQ = 48;
+const PRIME_TRACK_NAME = 'Acoustic Grand Piano';
+const MIN_RECORD_BPM = 30;
+const MAX_RECORD_BPM = 240;
+const CLICK_LOOKAHEAD = 0.1; // seconds of clicks scheduled ahead of the audio clock
+const CLICK_INTERVAL_MS = 25;
+
+/* Times are kept in seconds from the downbeat after the count-in;
+   notes played during the count-in are pulled onto that downbeat.
+   Key-ups while the sustain pedal is down are held until it lifts,
+   so the take carries no pedal events, as in the clean primes. */
+
+class PrimeRecorder {
+  constructor() {
+    this.notes = []; // [{ midi, time, duration, velocity, source }]
+    this.bpm = 120;
+    this.beatsPerBar = 4;
+    this.countInBars = 1;
+    this.metronome = true;
+
+    this.isRecording = false;
+    this._held = new Map(); // midi → note still down (or pedalled)
+    this._sustainDown = false;
+    this._pedalled = new Set(); // midis released under the pedal
+    this._startedAt = 0; // performance.now() at the first downbeat
+    this._clickAudioStart = 0;
+    this._nextClick = 0;
+    this._clickTimer = null;
+    this._click = null;
+    this._inputs = [];
+    this._animId = null;
+
+    // Callbacks
+    this.onUpdate = null; // (time) each frame while recording
+    this.onNote = null; // (midi, velocity) for monitoring; velocity 0 = release
+    this.onSustain = null; // (down)
+  }
+
+  /* ── Session ── */
+
+  async start({ bpm = this.bpm, beatsPerBar = this.beatsPerBar, countInBars = this.countInBars, metronome = this.metronome } = {}) {
+    if (this.isRecording) return;
+    await Tone.start();
+
+    this.bpm = bpm;
+    this.beatsPerBar = beatsPerBar;
+    this.countInBars = countInBars;
+    this.metronome = metronome;
+    this.notes = [];
+    this._held.clear();
+    this._pedalled.clear();
+    this._sustainDown = false;
+
+    // Both clocks are pinned to the same instant: the first click
+    const countIn = countInBars * beatsPerBar * this._beat();
+    this._clickAudioStart = Tone.getContext().currentTime + CLICK_LOOKAHEAD;
+    this._startedAt = performance.now() + (CLICK_LOOKAHEAD + countIn) * 1000;
+    this._nextClick = 0;
+
+    this.isRecording = true;
+    this._startClicks();
+    this._startTicker();
+  }
+
+  // Closes anything still held and returns the take
+  stop() {
+    if (!this.isRecording) return this.notes;
+    const now = this.currentTime();
+    for (const midi of [...this._held.keys()]) this._close(midi, now);
+    this._pedalled.clear();
+
+    this.isRecording = false;
+    this._stopClicks();
+    this._stopTicker();
+    this.notes.sort((a, b) => a.time - b.time || a.midi - b.midi);
+    return this.notes;
+  }
+
+  // Seconds since the first downbeat; negative during the count-in
+  currentTime(timestamp = performance.now()) {
+    return (timestamp - this._startedAt) / 1000;
+  }
+
+  // Take so far, with held notes running up to now
+  liveNotes() {
+    const now = Math.max(0, this.currentTime());
+    const held = [...this._held.values()].map(n => ({ ...n, duration: Math.max(0, now - n.time) }));
+    return this.notes.concat(held).sort((a, b) => a.time - b.time);
+  }
+
+  /* ── Input ──
+     Timestamps are DOMHighResTimeStamps, as carried by MIDI events. */
+
+  noteOn(midi, velocity, timestamp) {
+    if (this.onNote) this.onNote(midi, velocity);
+    if (!this.isRecording) return;
+    const time = Math.max(0, this.currentTime(timestamp));
+    // Re-striking a held or pedalled key ends the previous note
+    if (this._held.has(midi)) this._close(midi, time);
+    this._held.set(midi, { midi, time, duration: 0, velocity, source: 'original' });
+  }
+
+  noteOff(midi, timestamp) {
+    if (this.onNote) this.onNote(midi, 0);
+    if (!this.isRecording || !this._held.has(midi)) return;
+    if (this._sustainDown) {
+      this._pedalled.add(midi);
+      return;
+    }
+    this._close(midi, Math.max(0, this.currentTime(timestamp)));
+  }
+
+  sustain(down, timestamp) {
+    if (this.onSustain) this.onSustain(down);
+    this._sustainDown = down;
+    if (down || !this.isRecording) return;
+    const time = Math.max(0, this.currentTime(timestamp));
+    for (const midi of this._pedalled) this._close(midi, time);
+    this._pedalled.clear();
+  }
+
+  _close(midi, time) {
+    const note = this._held.get(midi);
+    this._held.delete(midi);
+    this._pedalled.delete(midi);
+    note.duration = Math.max(0, time - note.time);
+    this.notes.push(note);
+  }
+
+  /* ── Web MIDI input ──
+     Listens on every connected input; a keyboard plugged in mid-take
+     is picked up on the next attach. */
+
+  attachMidiInputs(access) {
+    this.detachMidiInputs();
+    for (const input of access.inputs.values()) {
+      const handler = (e) => this._onMidiMessage(e);
+      input.addEventListener('midimessage', handler);
+      this._inputs.push({ input, handler });
+    }
+    return this._inputs.length;
+  }
+
+  detachMidiInputs() {
+    for (const { input, handler } of this._inputs) input.removeEventListener('midimessage', handler);
+    this._inputs = [];
+  }
+
+  _onMidiMessage(e) {
+    const [status, data1, data2] = e.data;
+    const type = status & 0xf0;
+    if (type === MIDI_NOTE_ON && data2 > 0) this.noteOn(data1, data2 / 127, e.timeStamp);
+    else if (type === MIDI_NOTE_OFF || type === MIDI_NOTE_ON) this.noteOff(data1, e.timeStamp);
+    else if (type === MIDI_CONTROL_CHANGE && data1 === CC_SUSTAIN) this.sustain(data2 >= 64, e.timeStamp);
+  }
+
+  /* ── Metronome ──
+     Clicks are queued a little ahead on the audio clock from a timer,
+     so they stay steady when the main thread is busy. */
+
+  _beat() {
+    return 60 / this.bpm;
+  }
+
+  _startClicks() {
+    if (!this._click) {
+      this._click = new Tone.Synth({
+        volume: -14,
+        oscillator: { type: 'triangle' },
+        envelope: { attack: 0.001, decay: 0.06, sustain: 0, release: 0.02 },
+      }).toDestination();
+    }
+    const countInBeats = this.countInBars * this.beatsPerBar;
+    const queue = () => {
+      const horizon = Tone.getContext().currentTime + CLICK_LOOKAHEAD;
+      let at = this._clickAudioStart + this._nextClick * this._beat();
+      while (at < horizon) {
+        // The count-in always clicks; after it, only with the metronome on
+        if (this._nextClick < countInBeats || this.metronome) {
+          const downbeat = this._nextClick % this.beatsPerBar === 0;
+          this._click.triggerAttackRelease(downbeat ? 'C6' : 'G5', 0.03, at, downbeat ? 1 : 0.6);
+        }
+        this._nextClick++;
+        at = this._clickAudioStart + this._nextClick * this._beat();
+      }
+    };
+    queue();
+    this._clickTimer = setInterval(queue, CLICK_INTERVAL_MS);
+  }
+
+  _stopClicks() {
+    clearInterval(this._clickTimer);
+    this._clickTimer = null;
+  }
+
+  _startTicker() {
+    const tick = () => {
+      if (!this.isRecording) return;
+      if (this.onUpdate) this.onUpdate(this.currentTime());
+      this._animId = requestAnimationFrame(tick);
+    };
+    this._animId = requestAnimationFrame(tick);
+  }
+
+  _stopTicker() {
+    if (this._animId) {
+      cancelAnimationFrame(this._animId);
+      this._animId = null;
+    }
+  }
+
+  destroy() {
+    this.stop();
+    this.detachMidiInputs();
+    if (this._click) this._click.dispose();
+  }
+}
+
+/* ── Quantize & write ── */
+
+// Snaps onsets and ends to a grid given in beats; 0 leaves notes as played
+function quantizeNotes(notes, bpm, gridBeats) {
+  if (!gridBeats) return notes.map(n => ({ ...n }));
+  const step = gridBeats * 60 / bpm;
+  return notes.map(n => {
+    const time = Math.round(n.time / step) * step;
+    const end = Math.max(time + step, Math.round((n.time + n.duration) / step) * step);
+    return { ...n, time, duration: end - time };
+  });
+}
+
+// One piano track at 48 ppq with a single tempo and meter, as the
+// clean primes are written
+function buildPrimeMidi(notes, { bpm = 120, beatsPerBar = 4 } = {}) {
+  const midi = new Midi();
+  midi.header.fromJSON({
+    name: PRIME_TRACK_NAME,
+    ppq: PRIME_PPQ,
+    tempos: [{ ticks: 0, bpm }],
+    timeSignatures: [{ ticks: 0, timeSignature: [beatsPerBar, 4], measures: 0 }],
+    keySignatures: [],
+    meta: [],
+  });
+  midi.header.update();
+
+  const track = midi.addTrack();
+  track.name = PRIME_TRACK_NAME;
+  track.channel = 0;
+  track.instrument.number = 0; // Acoustic Grand Piano
+
+  const ticksPerSecond = PRIME_PPQ * bpm / 60;
+  for (const note of notes) {
+    const ticks = Math.round(note.time * ticksPerSecond);
+    const endTicks = Math.round((note.time + note.duration) * ticksPerSecond);
+    track.addNote({
+      midi: note.midi,
+      ticks,
+      durationTicks: Math.max(1, endTicks - ticks),
+      velocity: Math.round(note.velocity * 127) / 127,
+    });
+  }
+  return midi;
+}
@@ -0,0 +1,177 @@
+/* ═══════════════════════════════════════════
+   SCORE EXPORT — MusicXML and ABC notation
+   Writes a quantized score (score.js) for
+   notation software: a grand staff in the
+   estimated key, tempo and meter changes from
+   the grid, and a rehearsal mark where the
+   continuation takes over from the prime.
+   ═══════════════════════════════════════════ */
+
+const MUSICXML_TYPE = 'application/vnd.recordare.musicxml+xml';
+const ABC_TYPE = 'text/vnd.abc';
+const BOUNDARY_MARK = 'Continuation';
+const ABC_BARS_PER_LINE = 4;
+
+const STEP_LETTERS = 'CDEFGAB';
+const NOTE_TYPES = { 1: 'whole', 2: 'half', 4: 'quarter', 8: 'eighth', 16: '16th', 32: '32nd', 64: '64th' };
+const XML_ACCIDENTALS = { '-1': 'flat', 0: 'natural', 1: 'sharp' };
+const ABC_ACCIDENTALS = { '-1': '_', 0: '=', 1: '^' };
+const MAJOR_KEY_NAMES = { '-7': 'Cb', '-6': 'Gb', '-5': 'Db', '-4': 'Ab', '-3': 'Eb', '-2': 'Bb', '-1': 'F', 0: 'C', 1: 'G', 2: 'D', 3: 'A', 4: 'E', 5: 'B', 6: 'F#', 7: 'C#' };
+const MINOR_KEY_NAMES = { '-7': 'Abm', '-6': 'Ebm', '-5': 'Bbm', '-4': 'Fm', '-3': 'Cm', '-2': 'Gm', '-1': 'Dm', 0: 'Am', 1: 'Em', 2: 'Bm', 3: 'F#m', 4: 'C#m', 5: 'G#m', 6: 'D#m', 7: 'A#m' };
+const CONTINUATION_COLOR = '#5CD6C8'; // --accent-teal
+
+/* meta: { title, composer }. Both writers mark the boundary before the
+   first treble-staff event at score.boundary; the score splits events
+   there, so one always starts on it. */
+
+/* ── MusicXML ── */
+
+function buildMusicXml(score, { title = '', composer = '' } = {}) {
+  const divisions = score.slotsPerWhole / 4; // one slot per division
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+    '<score-partwise version="4.0">',
+    `  <work><work-title>${xmlEscape(title)}</work-title></work>`,
+    '  <identification>',
+    composer ? `    <creator type="composer">${xmlEscape(composer)}</creator>` : null,
+    '    <encoding><software>Continuo</software></encoding>',
+    '  </identification>',
+    '  <part-list><score-part id="P1"><part-name>Piano</part-name></score-part></part-list>',
+    '  <part id="P1">',
+  ];
+
+  score.measures.forEach((m, i) => {
+    lines.push(`    <measure number="${i + 1}">`);
+    if (i === 0) {
+      lines.push(
+        '      <attributes>',
+        `        <divisions>${divisions}</divisions>`,
+        `        <key><fifths>${score.fifths}</fifths><mode>${score.mode}</mode></key>`,
+        `        <time><beats>${m.timeSig[0]}</beats><beat-type>${m.timeSig[1]}</beat-type></time>`,
+        '        <staves>2</staves>',
+        '        <clef number="1"><sign>G</sign><line>2</line></clef>',
+        '        <clef number="2"><sign>F</sign><line>4</line></clef>',
+        '      </attributes>',
+      );
+    } else if (m.showTimeSig) {
+      lines.push(`      <attributes><time><beats>${m.timeSig[0]}</beats><beat-type>${m.timeSig[1]}</beat-type></time></attributes>`);
+    }
+    if (i === 0 || m.bpm !== score.measures[i - 1].bpm) {
+      lines.push(
+        '      <direction placement="above">',
+        `        <direction-type><metronome><beat-unit>quarter</beat-unit><per-minute>${m.bpm}</per-minute></metronome></direction-type>`,
+        `        <staff>1</staff><sound tempo="${m.bpm}"/>`,
+        '      </direction>',
+      );
+    }
+
+    m.staves.forEach((events, staff) => {
+      if (staff > 0) lines.push(`      <backup><duration>${m.slots}</duration></backup>`);
+      for (const e of events) {
+        if (staff === 0 && isBoundary(score, i, e)) {
+          lines.push(`      <direction placement="above"><direction-type><rehearsal>${BOUNDARY_MARK}</rehearsal></direction-type><staff>1</staff></direction>`);
+        }
+        lines.push(...musicXmlNotes(e, staff));
+      }
+    });
+    lines.push('    </measure>');
+  });
+
+  if (score.measures.length > 0) {
+    lines.splice(lines.length - 1, 0, '      <barline location="right"><bar-style>light-heavy</bar-style></barline>');
+  }
+  lines.push('  </part>', '</score-partwise>', '');
+  return lines.filter(line => line !== null).join('\n');
+}
+
+// Staff 2 sings as voice 5, the convention notation programs read back
+function musicXmlNotes(e, staff) {
+  const voice = staff === 0 ? 1 : 5;
+  const tail = `<voice>${voice}</voice>${e.wholeBar ? '' : `<type>${NOTE_TYPES[e.value]}</type>`}${e.dotted ? '<dot/>' : ''}`;
+  if (e.rest) {
+    return [`      <note><rest${e.wholeBar ? ' measure="yes"' : ''}/><duration>${e.length}</duration>${tail}<staff>${staff + 1}</staff></note>`];
+  }
+
+  const ties = (e.tieStop ? '<tie type="stop"/>' : '') + (e.tie ? '<tie type="start"/>' : '');
+  const tied = (e.tieStop ? '<tied type="stop"/>' : '') + (e.tie ? '<tied type="start"/>' : '');
+  return e.heads.map((h, k) => {
+    const color = h.source === 'continuation' ? ` color="${CONTINUATION_COLOR}"` : '';
+    const pitch = `<pitch><step>${STEP_LETTERS[h.letter]}</step>${h.alter ? `<alter>${h.alter}</alter>` : ''}<octave>${h.octave}</octave></pitch>`;
+    const accidental = h.accidental ? `<accidental>${XML_ACCIDENTALS[h.alter]}</accidental>` : '';
+    const notations = tied ? `<notations>${tied}</notations>` : '';
+    return `      <note${color}>${k > 0 ? '<chord/>' : ''}${pitch}<duration>${e.length}</duration>${ties}${tail}${accidental}<staff>${staff + 1}</staff>${notations}</note>`;
+  });
+}
+
+function xmlEscape(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/* ── ABC ──
+   L: is one grid slot, so lengths are plain slot counts. The hands are
+   two voices braced together, written a few bars per line. */
+
+function buildAbc(score, { title = '', composer = '' } = {}) {
+  const first = score.measures[0];
+  const keyName = (score.mode === 'minor' ? MINOR_KEY_NAMES : MAJOR_KEY_NAMES)[score.fifths];
+  const lines = [
+    'X:1',
+    `T:${abcText(title) || 'Untitled'}`,
+    composer ? `C:${abcText(composer)}` : null,
+    `M:${first ? first.timeSig.join('/') : '4/4'}`,
+    `L:1/${score.slotsPerWhole}`,
+    `Q:1/4=${first ? first.bpm : 120}`,
+    '%%score {RH | LH}',
+    'V:RH clef=treble name="Piano"',
+    'V:LH clef=bass',
+    `K:${keyName}`,
+  ];
+
+  for (let from = 0; from < score.measures.length; from += ABC_BARS_PER_LINE) {
+    const bars = score.measures.slice(from, from + ABC_BARS_PER_LINE);
+    const last = from + bars.length === score.measures.length;
+    ['RH', 'LH'].forEach((voice, staff) => {
+      const body = bars.map((m, j) => {
+        const i = from + j;
+        const fields = [];
+        if (i > 0 && m.showTimeSig) fields.push(`[M:${m.timeSig.join('/')}]`);
+        if (staff === 0 && i > 0 && m.bpm !== score.measures[i - 1].bpm) fields.push(`[Q:1/4=${m.bpm}]`);
+        const events = m.staves[staff].map(e => {
+          const mark = staff === 0 && isBoundary(score, i, e) ? `[P:${BOUNDARY_MARK}] ` : '';
+          return mark + abcEvent(e);
+        });
+        return fields.concat(events).join(' ');
+      });
+      lines.push(`[V:${voice}] ${body.join(' | ')} ${last ? '|]' : '|'}`);
+    });
+  }
+  lines.push('');
+  return lines.filter(line => line !== null).join('\n');
+}
+
+function abcEvent(e) {
+  const length = e.length === 1 ? '' : String(e.length);
+  if (e.rest) return `z${length}`;
+  const pitches = e.heads.map(abcPitch);
+  const chord = pitches.length === 1 ? pitches[0] : `[${pitches.join('')}]`;
+  return `${chord}${length}${e.tie ? '-' : ''}`;
+}
+
+// C is middle C, c the octave above; commas and apostrophes go further
+function abcPitch(h) {
+  const accidental = h.accidental ? ABC_ACCIDENTALS[h.alter] : '';
+  const letter = STEP_LETTERS[h.letter];
+  if (h.octave >= 5) return accidental + letter.toLowerCase() + "'".repeat(h.octave - 5);
+  return accidental + letter + ','.repeat(4 - h.octave);
+}
+
+// Header fields end at the line; keep titles on one
+function abcText(str) {
+  return String(str).replace(/\s+/g, ' ').trim();
+}
+
+function isBoundary(score, measureIdx, e) {
+  const b = score.boundary;
+  return !!b && b.measure === measureIdx && e.slot === b.slot;
+}
@@ -0,0 +1,281 @@
+/* ═══════════════════════════════════════════
+   SCORE — Notes quantized to a two-staff score
+   Snaps notes to the piano roll's bar/beat grid,
+   splits them between the hands and spells them
+   in the estimated key. Shared by the notation
+   view and the MusicXML / ABC exports.
+   ═══════════════════════════════════════════ */
+
+const DEFAULT_SLOTS_PER_WHOLE = 16; // sixteenth-note grid
+const HAND_SPLIT_MIDI = 60; // middle C and up go to the treble staff
+
+// Pitch class → [letter, alteration], for sharp and flat keys
+const SHARP_SPELLING = [[0, 0], [0, 1], [1, 0], [1, 1], [2, 0], [3, 0], [3, 1], [4, 0], [4, 1], [5, 0], [5, 1], [6, 0]];
+const FLAT_SPELLING = [[0, 0], [1, -1], [1, 0], [2, -1], [2, 0], [3, 0], [4, -1], [4, 0], [5, -1], [5, 0], [6, -1], [6, 0]];
+const SHARP_ORDER = [3, 0, 4, 1, 5, 2, 6]; // F C G D A E B
+const FLAT_ORDER = [6, 2, 5, 1, 4, 0, 3]; // B E A D G C F
+
+/* score: {
+     measures: [{ start, end, beatTimes, unit, slotsPerBeat, slots, timeSig,
+                  showTimeSig, bpm, staves: [events, events] }],
+     fifths, mode, slotsPerWhole, lengths (from noteLengths),
+     boundary: { measure, slot } where the continuation starts, or null }
+   event: { slot, length, value, dotted, time, rest?, wholeBar?,
+            heads: [{ step, letter, alter, octave, accidental, source, midi }],
+            source, tie, tieStop }
+   tie: held into the next event (across a barline, the next bar's first);
+   tieStop: held over from the previous one.
+   A slot is one grid step (1 / slotsPerWhole of a whole note); a head's
+   step is octave * 7 + letter (C = 0), and accidental says whether its
+   alteration has to be written out. */
+
+// beats: the piano roll's grid ([{ time, isBar, unit }]), so the score's bars match it
+function buildScore(notes, beats, { primeDuration = 0, duration = 0, slotsPerWhole = DEFAULT_SLOTS_PER_WHOLE } = {}) {
+  // The grid can end on a barline right at the last note-off; no bar starts there
+  const grid = duration > 0 ? beats.filter(b => b.time < duration - 1e-3) : beats;
+  const score = {
+    measures: scoreMeasures(grid, slotsPerWhole),
+    ...scoreKey(notes),
+    slotsPerWhole,
+    lengths: noteLengths(slotsPerWhole),
+    boundary: null,
+  };
+  if (score.measures.length === 0) return score;
+
+  if (primeDuration > 0 && primeDuration < duration) {
+    let at = scoreSlotAt(score, primeDuration);
+    if (at.slot >= score.measures[at.measure].slots && at.measure + 1 < score.measures.length) {
+      at = { measure: at.measure + 1, slot: 0 };
+    }
+    score.boundary = at;
+  }
+
+  // Notes starting on the same slot form one chord per staff
+  const staffOf = handSplitter(notes);
+  const chords = score.measures.map(() => [new Map(), new Map()]);
+  for (const note of notes) {
+    let on = scoreSlotAt(score, note.time);
+    if (on.slot >= score.measures[on.measure].slots) {
+      if (on.measure + 1 >= score.measures.length) continue;
+      on = { measure: on.measure + 1, slot: 0 };
+    }
+    const off = scoreSlotAt(score, note.time + note.duration);
+    const end = off.measure > on.measure ? score.measures[on.measure].slots : Math.max(on.slot + 1, off.slot);
+
+    const bySlot = chords[on.measure][staffOf(note)];
+    if (!bySlot.has(on.slot)) bySlot.set(on.slot, { slot: on.slot, end, off, notes: [] });
+    const chord = bySlot.get(on.slot);
+    chord.end = Math.max(chord.end, end);
+    if (off.measure > chord.off.measure || (off.measure === chord.off.measure && off.slot > chord.off.slot)) chord.off = off;
+    chord.notes.push(note);
+  }
+  chords.forEach((staves, i) => [0, 1].forEach(staff => carryOver(score, chords, i, staff)));
+
+  score.measures.forEach((m, i) => {
+    const breaks = score.boundary && score.boundary.measure === i ? [score.boundary.slot] : [];
+    m.staves = chords[i].map(bySlot => staffEvents(score, m, [...bySlot.values()], breaks));
+  });
+  return score;
+}
+
+// The bar's last chord, if still sounding at the barline, carries on as a
+// tied chord at the start of the next bar, unless a new onset takes over
+function carryOver(score, chords, i, staff) {
+  const bySlot = chords[i][staff];
+  if (bySlot.size === 0 || i + 1 >= score.measures.length) return;
+  const last = [...bySlot.values()].reduce((a, b) => (b.slot > a.slot ? b : a));
+  const { off } = last;
+  if (off.measure <= i || (off.measure === i + 1 && off.slot === 0)) return;
+  const next = chords[i + 1][staff];
+  if (next.has(0)) return;
+  const end = off.measure > i + 1 ? score.measures[i + 1].slots : off.slot;
+  last.tiedOver = true;
+  next.set(0, { slot: 0, end, off, notes: last.notes, held: true });
+}
+
+/* ── Time ↔ grid ── */
+
+function scoreMeasureAt(score, time) {
+  const ms = score.measures;
+  if (ms.length === 0) return -1;
+  let lo = 0;
+  let hi = ms.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (ms[mid].start <= time) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo;
+}
+
+// Nearest slot; may equal the bar's slot count at its very end
+function scoreSlotAt(score, time) {
+  const measure = scoreMeasureAt(score, time);
+  const m = score.measures[measure];
+  let k = m.beatTimes.length - 1;
+  while (k > 0 && m.beatTimes[k] > time) k--;
+  const beatEnd = k + 1 < m.beatTimes.length ? m.beatTimes[k + 1] : m.end;
+  const frac = Math.max(0, (time - m.beatTimes[k]) / Math.max(1e-6, beatEnd - m.beatTimes[k]));
+  const slot = k * m.slotsPerBeat + Math.round(frac * m.slotsPerBeat);
+  return { measure, slot: Math.min(slot, m.slots) };
+}
+
+function scoreSlotTime(m, slot) {
+  const k = Math.min(m.beatTimes.length - 1, Math.floor(slot / m.slotsPerBeat));
+  const beatEnd = k + 1 < m.beatTimes.length ? m.beatTimes[k + 1] : m.end;
+  return m.beatTimes[k] + ((slot - k * m.slotsPerBeat) / m.slotsPerBeat) * (beatEnd - m.beatTimes[k]);
+}
+
+/* ── Building blocks ── */
+
+// Bars from the beat grid; a short last bar is padded out to full length
+function scoreMeasures(beats, slotsPerWhole) {
+  const measures = [];
+  for (const beat of beats) {
+    if (beat.isBar || measures.length === 0) measures.push({ start: beat.time, beatTimes: [], unit: beat.unit || 4 });
+    measures[measures.length - 1].beatTimes.push(beat.time);
+  }
+  measures.forEach((m, i) => {
+    const next = measures[i + 1];
+    const prev = measures[i - 1];
+    if (!next && prev && m.beatTimes.length < prev.beatTimes.length) {
+      const beatLen = m.beatTimes.length > 1 ? m.beatTimes[1] - m.beatTimes[0] : (m.start - prev.start) / prev.beatTimes.length;
+      while (m.beatTimes.length < prev.beatTimes.length) m.beatTimes.push(m.beatTimes[m.beatTimes.length - 1] + beatLen);
+    }
+    const beatLen = m.beatTimes.length > 1 ? m.beatTimes[1] - m.beatTimes[0] : (next ? next.start - m.start : 0.5);
+    m.end = next ? next.start : m.beatTimes[m.beatTimes.length - 1] + beatLen;
+    m.slotsPerBeat = slotsPerWhole / m.unit;
+    m.slots = m.beatTimes.length * m.slotsPerBeat;
+    m.timeSig = [m.beatTimes.length, m.unit];
+    m.showTimeSig = !prev || prev.timeSig[0] !== m.timeSig[0] || prev.timeSig[1] !== m.timeSig[1];
+    m.bpm = Math.round(240 / (beatLen * m.unit)); // quarter notes per minute, as MIDI counts them
+  });
+  return measures;
+}
+
+// Each staff holds one voice: a chord lasts until the next onset (or its
+// own end) and the gaps become rests. Anything crossing a break slot is
+// tied across it, as are chords held over from the previous bar.
+function staffEvents(score, m, chords, breaks) {
+  if (chords.length === 0 && breaks.length === 0) {
+    return [{ rest: true, wholeBar: true, slot: 0, length: m.slots, value: 1, dotted: false, time: m.start }];
+  }
+
+  chords.sort((a, b) => a.slot - b.slot);
+  const events = [];
+  const keyAlter = keyAlterations(score.fifths);
+  const shown = new Map(); // step → alteration in force for the rest of the bar
+  const pushRests = (from, to) => {
+    for (const piece of splitLength(score.lengths, from, to - from, breaks)) {
+      events.push({ ...piece, rest: true, time: scoreSlotTime(m, piece.slot) });
+    }
+  };
+
+  let cursor = 0;
+  chords.forEach((chord, i) => {
+    if (chord.slot > cursor) pushRests(cursor, chord.slot);
+    const next = i + 1 < chords.length ? chords[i + 1].slot : m.slots;
+    const end = Math.min(chord.end, next);
+
+    // A tied-over chord keeps its spelling without repeating accidentals,
+    // and leaves later notes in the bar to be read against the key
+    const heads = spellChord(chord.notes, score.fifths, keyAlter, chord.held ? new Map() : shown);
+    const source = chord.notes.some(n => n.source === 'continuation') ? 'continuation' : 'original';
+    const pieces = splitLength(score.lengths, chord.slot, end - chord.slot, breaks);
+    const tiedOver = !!chord.tiedOver && end === m.slots;
+    pieces.forEach((piece, p) => {
+      events.push({
+        ...piece,
+        heads: p === 0 && !chord.held ? heads : heads.map(h => ({ ...h, accidental: false })),
+        source,
+        tie: p + 1 < pieces.length || tiedOver,
+        tieStop: p > 0 || !!chord.held,
+        time: scoreSlotTime(m, piece.slot),
+      });
+    });
+    cursor = end;
+  });
+  if (cursor < m.slots) pushRests(cursor, m.slots);
+  return events;
+}
+
+// Plain and dotted values that land on whole slots, longest first: [slots, value, dotted]
+function noteLengths(slotsPerWhole) {
+  const lengths = [];
+  for (let value = 1; value <= slotsPerWhole; value *= 2) {
+    const slots = slotsPerWhole / value;
+    lengths.push([slots, value, false]);
+    if (slots % 2 === 0) lengths.push([slots * 1.5, value, true]);
+  }
+  return lengths.sort((a, b) => b[0] - a[0]);
+}
+
+// Longest single symbols first, so five sixteenths become quarter + sixteenth
+function splitLength(lengths, slot, length, breaks) {
+  const pieces = [];
+  const end = slot + length;
+  const cuts = breaks.filter(b => b > slot && b < end).concat(end);
+  for (const cut of cuts) {
+    while (slot < cut) {
+      const [slots, value, dotted] = lengths.find(([s]) => s <= cut - slot);
+      pieces.push({ slot, length: slots, value, dotted });
+      slot += slots;
+    }
+  }
+  return pieces;
+}
+
+// Staff positions and accidentals, lowest first. An accidental holds
+// for the same line or space until the barline. A chord with A and Ab
+// spells the second as G#, so both keep a line or space of their own.
+function spellChord(notes, fifths, keyAlter, shown) {
+  const spellings = fifths < 0 ? [FLAT_SPELLING, SHARP_SPELLING] : [SHARP_SPELLING, FLAT_SPELLING];
+  const heads = [];
+  for (const note of notes.slice().sort((a, b) => a.midi - b.midi)) {
+    if (heads.some(h => h.midi === note.midi)) continue;
+    const octave = Math.floor(note.midi / 12) - 1;
+    const options = spellings.map(spelling => spelling[note.midi % 12]);
+    const [letter, alter] = options.find(([l]) => !heads.some(h => h.step === octave * 7 + l)) || options[0];
+    const step = octave * 7 + letter;
+    const current = shown.has(step) ? shown.get(step) : keyAlter[letter];
+    shown.set(step, alter);
+    heads.push({ step, letter, alter, octave, accidental: alter !== current, source: note.source, midi: note.midi });
+  }
+  return heads.sort((a, b) => a.step - b.step);
+}
+
+// Alteration of each letter under the key signature
+function keyAlterations(fifths) {
+  const alter = new Array(7).fill(0);
+  const order = fifths < 0 ? FLAT_ORDER : SHARP_ORDER;
+  for (let i = 0; i < Math.abs(fifths); i++) alter[order[i]] = fifths < 0 ? -1 : 1;
+  return alter;
+}
+
+// From the key analysis.js estimates for the whole piece
+function scoreKey(notes) {
+  const pcs = new Array(12).fill(0);
+  for (const n of notes) pcs[n.midi % 12] += n.duration;
+  if (!pcs.some(v => v > 0)) return { fifths: 0, mode: 'major' };
+  const key = estimateKey(normalize(pcs));
+  const majorTonic = key.mode === 'minor' ? (key.tonic + 3) % 12 : key.tonic;
+  const fifths = (majorTonic * 7) % 12;
+  return { fifths: fifths <= 6 ? fifths : fifths - 12, mode: key.mode };
+}
+
+// Two-track files (one per hand) keep their split; anything else splits at middle C
+function handSplitter(notes) {
+  const byTrack = new Map();
+  for (const n of notes) {
+    const t = byTrack.get(n.trackIdx) || { sum: 0, count: 0 };
+    t.sum += n.midi;
+    t.count++;
+    byTrack.set(n.trackIdx, t);
+  }
+  if (byTrack.size === 2) {
+    const [a, b] = [...byTrack.entries()].map(([idx, t]) => ({ idx, mean: t.sum / t.count }));
+    const upper = a.mean >= b.mean ? a.idx : b.idx;
+    return (note) => (note.trackIdx === upper ? 0 : 1);
+  }
+  return (note) => (note.midi >= HAND_SPLIT_MIDI ? 0 : 1);
+}
@@ -0,0 +1,152 @@
+/* ═══════════════════════════════════════════
+   TRACK MANIFEST — tracks.json loading
+   Fetches the playlist manifest, validates its
+   schema, and reports MIDI files that are missing.
+   ═══════════════════════════════════════════ */
+
+const MANIFEST_URL = 'tracks.json';
+
+class ManifestError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length ? `${message}\n  - ${problems.join('\n  - ')}` : message);
+    this.name = 'ManifestError';
+    this.problems = problems;
+  }
+}
+
+/* ── Loading ── */
+
+async function loadTrackManifest(url = MANIFEST_URL) {
+  let response;
+  try {
+    // Revalidate every time so a new generation run shows up without cache busting
+    response = await fetch(url, { cache: 'no-cache' });
+  } catch (err) {
+    throw new ManifestError(`Could not fetch ${url}: ${err.message}`);
+  }
+  if (!response.ok) {
+    throw new ManifestError(`Could not fetch ${url} (HTTP ${response.status})`);
+  }
+
+  let data;
+  try {
+    data = await response.json();
+  } catch (err) {
+    throw new ManifestError(`${url} is not valid JSON: ${err.message}`);
+  }
+
+  return validateTrackManifest(data, url);
+}
+
+/* ── Schema ──
+   {
+     "tracks": [{
+       "id": "unique-slug",
+       "composer": "...",
+       "title": "...",
+       "prime": "path/to/prime.mid",
+       "groundTruth": "path/to/human.mid",   (optional, used by the blind test)
+       "continuations": ["path.mid" | { "file": "path.mid", "label": "A" }, ...]
+     }]
+   }
+   Returns tracks with continuations normalized to { file, label }. */
+
+function validateTrackManifest(data, url = MANIFEST_URL) {
+  const problems = [];
+
+  if (!data || typeof data !== 'object' || !Array.isArray(data.tracks)) {
+    throw new ManifestError(`${url} must be an object with a "tracks" array`);
+  }
+
+  const isNonEmptyString = (v) => typeof v === 'string' && v.trim() !== '';
+  const seenIds = new Set();
+  const tracks = [];
+
+  data.tracks.forEach((raw, i) => {
+    const where = raw && isNonEmptyString(raw.id) ? `tracks[${i}] ("${raw.id}")` : `tracks[${i}]`;
+    const trackProblems = [];
+
+    if (!raw || typeof raw !== 'object') {
+      problems.push(`${where}: must be an object`);
+      return;
+    }
+
+    for (const key of ['id', 'composer', 'title', 'prime']) {
+      if (!isNonEmptyString(raw[key])) trackProblems.push(`${where}: "${key}" must be a non-empty string`);
+    }
+    if (raw.groundTruth !== undefined && !isNonEmptyString(raw.groundTruth)) {
+      trackProblems.push(`${where}: "groundTruth" must be a non-empty string when present`);
+    }
+    if (isNonEmptyString(raw.id)) {
+      if (seenIds.has(raw.id)) trackProblems.push(`${where}: duplicate id`);
+      seenIds.add(raw.id);
+    }
+
+    const continuations = [];
+    if (!Array.isArray(raw.continuations) || raw.continuations.length === 0) {
+      trackProblems.push(`${where}: "continuations" must be a non-empty array`);
+    } else {
+      raw.continuations.forEach((c, j) => {
+        const file = typeof c === 'string' ? c : c && c.file;
+        const label = c && typeof c === 'object' && isNonEmptyString(c.label) ? c.label : variantLabel(j);
+        if (!isNonEmptyString(file)) {
+          trackProblems.push(`${where}: continuations[${j}] must be a path or { "file": path }`);
+          return;
+        }
+        continuations.push({ file, label });
+      });
+    }
+
+    if (trackProblems.length) {
+      problems.push(...trackProblems);
+      return;
+    }
+
+    tracks.push({
+      id: raw.id,
+      composer: raw.composer,
+      title: raw.title,
+      prime: raw.prime,
+      groundTruth: raw.groundTruth || null,
+      continuations,
+    });
+  });
+
+  if (problems.length) {
+    throw new ManifestError(`${url} failed validation`, problems);
+  }
+  return tracks;
+}
+
+function variantLabel(index) {
+  // A..Z, then A2, B2, ... for unusually large generation runs
+  const letter = String.fromCharCode(65 + (index % 26));
+  const round = Math.floor(index / 26);
+  return round === 0 ? letter : `${letter}${round + 1}`;
+}
+
+/* ── File checks ──
+   HEAD-requests every referenced MIDI file. Resolves to a map of
+   trackId → [missing paths]; network failures (e.g. file://) are
+   treated as "unknown" rather than missing. */
+
+async function findMissingTrackFiles(tracks) {
+  const check = async (file) => {
+    try {
+      const response = await fetch(file, { method: 'HEAD', cache: 'no-cache' });
+      return response.ok || response.status === 405 ? null : file;
+    } catch (err) {
+      return null;
+    }
+  };
+
+  const missing = new Map();
+  await Promise.all(tracks.map(async (track) => {
+    const files = [track.prime, ...track.continuations.map(c => c.file)];
+    if (track.groundTruth) files.push(track.groundTruth);
+    const results = await Promise.all(files.map(check));
+    const absent = results.filter(Boolean);
+    if (absent.length) missing.set(track.id, absent);
+  }));
+  return missing;
+}
@@ -0,0 +1,95 @@
+/* requestContinuations against the stub generation server: plain JSON
+   and NDJSON replies, error replies, HTTP failures and cancellation. */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Midi } = require('@tonejs/midi');
+const { loadScripts } = require('./helpers/browser-scripts');
+const { startStubServer, RUN_LENGTH, NDJSON_STEPS } = require('./stub-generation-server');
+
+const { requestContinuations } = loadScripts(['generation-client'], ['requestContinuations'], {
+  Midi,
+  fetch,
+  AbortController,
+  TextDecoder,
+  btoa,
+  atob,
+});
+
+let stub;
+test.before(async () => { stub = await startStubServer(); });
+test.after(() => {
+  stub.server.closeAllConnections();
+  stub.server.close();
+});
+
+function prime() {
+  const midi = new Midi();
+  const track = midi.addTrack();
+  [60, 64, 67].forEach((pitch, i) => track.addNote({ midi: pitch, time: i * 0.5, duration: 0.5, velocity: 0.8 }));
+  return midi;
+}
+
+const PARAMS = { temperature: 0.9, topP: 0.9, length: 256, seed: 7, count: 2 };
+
+async function assertRejects(promise, pattern) {
+  await assert.rejects(promise, (err) => {
+    assert.equal(err.name, 'GenerationError');
+    assert.match(err.message, pattern);
+    return true;
+  });
+}
+
+test('decodes a plain JSON reply into one parsed continuation per sample', async () => {
+  const results = await requestContinuations(`${stub.url}?mode=json`, prime(), PARAMS);
+  assert.equal(results.length, 2);
+  results.forEach(({ midi, params }, i) => {
+    assert.equal(midi.tracks[0].notes.length, 3 + RUN_LENGTH, 'the prime followed by the generated notes');
+    assert.equal(params.seed, 7 + i);
+    assert.equal(params.temperature, 0.9);
+  });
+
+  const { body } = stub.requests[stub.requests.length - 1];
+  assert.deepEqual(
+    { ...body, prime: undefined },
+    { prime: undefined, temperature: 0.9, top_p: 0.9, length: 256, seed: 7, num_samples: 2 },
+  );
+  assert.equal(new Midi(Buffer.from(body.prime, 'base64')).tracks[0].notes.length, 3);
+});
+
+test('reports NDJSON progress lines before the continuations', async () => {
+  const progress = [];
+  const results = await requestContinuations(`${stub.url}?mode=ndjson`, prime(), { ...PARAMS, count: 3 }, {
+    onProgress: (p) => progress.push(p),
+  });
+  assert.deepEqual(progress, NDJSON_STEPS);
+  assert.equal(results.length, 3);
+});
+
+test('rejects with the server message for an { error } reply', async () => {
+  await assertRejects(
+    requestContinuations(`${stub.url}?mode=error`, prime(), PARAMS),
+    /^Generation failed: The sampler ran out of memory$/,
+  );
+});
+
+test('rejects with the status and reason for a non-2xx response', async () => {
+  await assertRejects(
+    requestContinuations(`${stub.url}?mode=status`, prime(), PARAMS),
+    /HTTP 503: All samplers are busy$/,
+  );
+});
+
+test('cancelling mid-stream rejects as cancelled and drops the connection', async () => {
+  const controller = new AbortController();
+  const request = requestContinuations(`${stub.url}?mode=hang`, prime(), PARAMS, {
+    signal: controller.signal,
+    onProgress: () => controller.abort(),
+  });
+  await assertRejects(request, /^Generation was cancelled$/);
+
+  const entry = stub.requests[stub.requests.length - 1];
+  assert.equal(entry.mode, 'hang');
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.ok(entry.aborted, 'the server saw the request go away');
+});
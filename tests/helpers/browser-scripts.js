@@ -0,0 +1,18 @@
+/* The app's scripts are plain browser globals, so tests run them in one
+   vm context (with whatever globals they need) and pull out the names
+   they want to call. */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS_DIR = path.join(__dirname, '..', '..', 'js');
+
+// files: names under js/ without the extension; names: top-level bindings to return
+function loadScripts(files, names, globals = {}) {
+  const context = vm.createContext({ console, setTimeout, clearTimeout, ...globals });
+  const source = files.map(f => fs.readFileSync(path.join(JS_DIR, `${f}.js`), 'utf8')).join('\n;\n');
+  return vm.runInContext(`${source}\n;({ ${names.join(', ')} })`, context, { filename: files.join('+') });
+}
+
+module.exports = { loadScripts, JS_DIR };
@@ -0,0 +1,98 @@
+/* Just enough of Tone.js for MidiPlayer to schedule against. The audio
+   clock stands still at 0 and the Transport only moves when a test calls
+   advance(), which fires every event it passes with the audio time the
+   real Transport would hand over. */
+
+class FakeTransport {
+  constructor() {
+    this.events = new Map(); // id → { callback, time }
+    this.nextId = 0;
+    this.state = 'stopped';
+    this.seconds = 0;
+    this.loop = false;
+    this.loopStart = 0;
+    this.loopEnd = 0;
+    this._audioStart = 0; // audio time at which `_offset` plays
+    this._offset = 0;
+  }
+
+  schedule(callback, time) {
+    const id = this.nextId++;
+    this.events.set(id, { callback, time });
+    return id;
+  }
+
+  clear(id) {
+    this.events.delete(id);
+  }
+
+  cancel() {
+    this.events.clear();
+  }
+
+  on() {}
+
+  // when: '+0.02' style lookahead from now (audio time 0)
+  start(when = 0, offset = 0) {
+    this.state = 'started';
+    this._audioStart = typeof when === 'string' ? Number(when.replace('+', '')) : when;
+    this._offset = offset;
+    this.seconds = offset;
+  }
+
+  pause() {
+    this.state = 'paused';
+  }
+
+  stop() {
+    this.state = 'stopped';
+    this.seconds = 0;
+  }
+
+  // Runs the Transport forward to `seconds`, firing events on the way in time order
+  advance(seconds) {
+    const due = [...this.events.values()]
+      .filter(e => e.time >= this.seconds && e.time < seconds)
+      .sort((a, b) => a.time - b.time);
+    for (const e of due) e.callback(this._audioStart + (e.time - this._offset));
+    this.seconds = seconds;
+  }
+}
+
+const fakeParam = () => ({ rampTo() {}, setValueAtTime() {} });
+
+// Gain, Panner and instrument alike: connects to anything, ramps silently
+class FakeNode {
+  constructor() {
+    this.gain = fakeParam();
+    this.pan = fakeParam();
+  }
+  connect() { return this; }
+  chain() { return this; }
+  toDestination() { return this; }
+  dispose() {}
+}
+
+class FakeInstrument extends FakeNode {
+  releaseAll() {}
+  triggerAttackRelease() {}
+}
+
+function createFakeTone() {
+  const context = { currentTime: 0, state: 'running' };
+  return {
+    Transport: new FakeTransport(),
+    getContext: () => context,
+    start: async () => {},
+    Frequency: (midi) => ({ toFrequency: () => 440 * Math.pow(2, (midi - 69) / 12) }),
+    Gain: FakeNode,
+    Panner: FakeNode,
+  };
+}
+
+// Stands in for instruments.js
+async function createFakeInstrument() {
+  return { instrument: new FakeInstrument(), fellBack: false };
+}
+
+module.exports = { createFakeTone, createFakeInstrument };
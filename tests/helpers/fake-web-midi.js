@@ -0,0 +1,34 @@
+/* A MIDIAccess with in-memory output ports, for a mocked
+   navigator.requestMIDIAccess. Ports keep every message they are sent. */
+
+class FakeMIDIOutput {
+  constructor(id, name, state = 'connected') {
+    this.id = id;
+    this.name = name;
+    this.state = state;
+    this.sent = []; // [{ data: [status, data1, data2], timestamp }]
+    this.clears = 0;
+  }
+
+  send(data, timestamp) {
+    this.sent.push({ data: Array.from(data), timestamp });
+  }
+
+  clear() {
+    this.clears++;
+  }
+}
+
+class FakeMIDIAccess {
+  constructor(outputs) {
+    this.outputs = new Map(outputs.map(port => [port.id, port]));
+    this.inputs = new Map();
+  }
+}
+
+// navigator stand-in whose requestMIDIAccess resolves to `access`
+function fakeNavigator(access) {
+  return { requestMIDIAccess: async () => access };
+}
+
+module.exports = { FakeMIDIOutput, FakeMIDIAccess, fakeNavigator };
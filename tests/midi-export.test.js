@@ -0,0 +1,41 @@
+/* buildSplitMidi trimming: a time range clips whatever overlaps it,
+   while a selection exported over its own noteSpan keeps only the
+   selected notes, whole, with the earliest onset at 0. */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Midi } = require('@tonejs/midi');
+const { loadScripts } = require('./helpers/browser-scripts');
+
+const { buildSplitMidi, noteSpan } = loadScripts(['midi-export'], ['buildSplitMidi', 'noteSpan'], { Midi });
+
+// 120 bpm: a prime note, then continuation notes that overlap the selected ones
+const NOTES = [
+  { midi: 60, time: 0, duration: 1, velocity: 0.8, source: 'original' },
+  { midi: 62, time: 0.5, duration: 2, velocity: 0.8, source: 'continuation' },
+  { midi: 64, time: 1, duration: 0.5, velocity: 0.6, source: 'continuation' },
+  { midi: 67, time: 1.5, duration: 0.5, velocity: 0.6, source: 'continuation' },
+];
+
+function header() {
+  const midi = new Midi();
+  midi.header.setTempo(120);
+  return midi.header;
+}
+
+// [midi, time, duration] per track, read back from the written file
+function written(midi) {
+  const parsed = new Midi(midi.toArray());
+  return parsed.tracks.map(t => t.notes.map(n => [n.midi, n.time, n.duration]));
+}
+
+test('a range clips every note that overlaps it', () => {
+  const midi = buildSplitMidi(NOTES, header(), { range: { start: 1, end: 1.5 } });
+  assert.deepEqual(written(midi), [[], [[62, 0, 0.5], [64, 0, 0.5]]]);
+});
+
+test('a selection writes only its own notes, shifted to its first onset', () => {
+  const selection = [NOTES[2], NOTES[3]];
+  const midi = buildSplitMidi(selection, header(), { range: noteSpan(selection) });
+  assert.deepEqual(written(midi), [[], [[64, 0, 0.5], [67, 0.5, 0.5]]]);
+});
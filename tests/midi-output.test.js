@@ -0,0 +1,149 @@
+/* MidiPlayer driving a Web MIDI port, against a mocked
+   navigator.requestMIDIAccess and a fake Tone Transport: notes and
+   pedals go out at their scheduled times, and every way of stopping
+   silences the port. */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Midi } = require('@tonejs/midi');
+const { loadScripts } = require('./helpers/browser-scripts');
+const { createFakeTone, createFakeInstrument } = require('./helpers/fake-tone');
+const { FakeMIDIOutput, FakeMIDIAccess, fakeNavigator } = require('./helpers/fake-web-midi');
+
+const NOW = 1000; // performance.now() while the audio clock sits at 0
+const LOOKAHEAD = 0.02; // the player starts the Transport at '+0.02'
+const ALL_CHANNELS = [0, 1, 2];
+
+// One track: C4 then E4 under the sustain pedal, soft pedal across the middle
+function testPiece() {
+  const midi = new Midi();
+  const track = midi.addTrack();
+  track.addNote({ midi: 60, time: 0, duration: 0.5, velocity: 0.8 });
+  track.addNote({ midi: 64, time: 1, duration: 0.5, velocity: 0.5 });
+  track.addCC({ number: 64, value: 1, time: 0.25 });
+  track.addCC({ number: 64, value: 0, time: 1.25 });
+  track.addCC({ number: 67, value: 1, time: 0.75 });
+  track.addCC({ number: 67, value: 0, time: 1.5 });
+  const prime = new Midi();
+  prime.addTrack().addNote({ midi: 60, time: 0, duration: 0.5, velocity: 0.8 });
+  return { combined: midi, prime };
+}
+
+function setup() {
+  const Tone = createFakeTone();
+  const port = new FakeMIDIOutput('out-1', 'Test synth');
+  const access = new FakeMIDIAccess([port, new FakeMIDIOutput('out-2', 'Unplugged', 'disconnected')]);
+  const scripts = loadScripts(
+    ['midi-output', 'midi-player'],
+    ['MidiPlayer', 'MidiOutputPort', 'requestMidiAccess', 'listMidiOutputs'],
+    {
+      Tone,
+      Midi,
+      navigator: fakeNavigator(access),
+      performance: { now: () => NOW },
+      createInstrument: createFakeInstrument,
+      DEFAULT_INSTRUMENT: 'piano',
+      requestAnimationFrame: () => 1,
+      cancelAnimationFrame() {},
+    },
+  );
+  return { Tone, port, ...scripts };
+}
+
+async function playingPlayer() {
+  const env = setup();
+  const access = await env.requestMidiAccess();
+  const [{ id }] = env.listMidiOutputs(access);
+  const player = new env.MidiPlayer();
+  const { combined, prime } = testPiece();
+  await player.loadTrack(combined, prime);
+  player.setMidiOutput(new env.MidiOutputPort(access.outputs.get(id)));
+  await player.play();
+  return { ...env, player };
+}
+
+// [status, data1, data2, ms after NOW], in time order
+function messages(sent) {
+  return inOrder(sent.map(({ data, timestamp }) => [...data, Math.round((timestamp - NOW) * 1000) / 1000]));
+}
+
+function inOrder(list) {
+  return list.sort((a, b) => a[3] - b[3] || a[0] - b[0] || a[1] - b[1]);
+}
+
+// Score seconds → ms after NOW, for a Transport started at `from`
+function at(time, from = 0) {
+  return Math.round((LOOKAHEAD + time - from) * 1e6) / 1000;
+}
+
+function allNotesOffMessages() {
+  return ALL_CHANNELS.flatMap(channel => [
+    [0xb0 | channel, 64, 0, 0],
+    [0xb0 | channel, 67, 0, 0],
+    [0xb0 | channel, 123, 0, 0],
+  ]);
+}
+
+test('lists the connected outputs of the mocked MIDIAccess', async () => {
+  const { requestMidiAccess, listMidiOutputs } = setup();
+  const outputs = listMidiOutputs(await requestMidiAccess());
+  assert.deepEqual(Array.from(outputs, o => ({ ...o })), [{ id: 'out-1', name: 'Test synth' }]);
+});
+
+test('sends note-on/off and pedal changes at their scheduled times', async () => {
+  const { Tone, port } = await playingPlayer();
+  // Pedal state as of the start goes out right away
+  assert.deepEqual(messages(port.sent), [[0xb0, 64, 0, 0], [0xb0, 67, 0, 0]]);
+
+  port.sent = [];
+  Tone.Transport.advance(3);
+  assert.deepEqual(messages(port.sent), [
+    [0x90, 60, 102, at(0)],
+    [0xb0, 64, 127, at(0.25)],
+    [0x80, 60, 0, at(0.5)],
+    [0xb0, 67, 127, at(0.75)],
+    [0x90, 64, 64, at(1)],
+    [0xb0, 64, 0, at(1.25)],
+    [0x80, 64, 0, at(1.5)],
+    [0xb0, 67, 0, at(1.5)],
+  ]);
+});
+
+test('pause() sends all-notes-off and drops queued messages', async () => {
+  const { Tone, port, player } = await playingPlayer();
+  Tone.Transport.advance(0.5);
+  port.sent = [];
+  player.pause();
+  assert.equal(port.clears, 1);
+  assert.deepEqual(messages(port.sent), allNotesOffMessages());
+});
+
+test('stop() sends all-notes-off and drops queued messages', async () => {
+  const { Tone, port, player } = await playingPlayer();
+  Tone.Transport.advance(0.5);
+  port.sent = [];
+  player.stop();
+  assert.equal(port.clears, 1);
+  assert.deepEqual(messages(port.sent), allNotesOffMessages());
+});
+
+test('seek() sends all-notes-off, then the pedal state and notes from the new position', async () => {
+  const { Tone, port, player } = await playingPlayer();
+  Tone.Transport.advance(0.5);
+  port.sent = [];
+  player.seek(0.8);
+  assert.equal(port.clears, 1);
+  // In the order sent: silence first, then sustain and soft as they stand at 0.8
+  assert.deepEqual(port.sent.map(m => [...m.data, m.timestamp - NOW]), [
+    ...allNotesOffMessages(),
+    [0xb0, 64, 127, 0],
+    [0xb0, 67, 127, 0],
+  ]);
+
+  port.sent = [];
+  Tone.Transport.advance(1.1);
+  assert.deepEqual(messages(port.sent), [
+    [0x90, 64, 64, at(1, 0.8)],
+    [0x80, 64, 0, at(1.5, 0.8)],
+  ]);
+});
@@ -0,0 +1,166 @@
+/* Round-trips every continuation in public_gens/ through the MusicXML
+   and ABC exports at each notation grid: the files must parse back to
+   the quantized onsets and pitches of the score, with every bar full
+   and one "Continuation" mark where the prime ends. */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { Midi } = require('@tonejs/midi');
+const { DOMParser } = require('@xmldom/xmldom');
+const abcjs = require('abcjs');
+const { loadScripts } = require('./helpers/browser-scripts');
+
+const GENS_DIR = path.join(__dirname, '..', 'public_gens');
+const GRIDS = [8, 16, 32];
+const STEP_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+const { MidiPlayer, PianoRoll, buildScore, scoreSlotAt, buildMusicXml, buildAbc } = loadScripts(
+  ['analysis', 'piano-roll', 'midi-player', 'score', 'score-export'],
+  ['MidiPlayer', 'PianoRoll', 'buildScore', 'scoreSlotAt', 'buildMusicXml', 'buildAbc'],
+  { Midi },
+);
+
+// Notes, timing and grid the way the app gets them from the player and the piano roll
+async function loadPiece(file) {
+  const combined = new Midi(fs.readFileSync(path.join(GENS_DIR, file)));
+  const primeFile = path.join(GENS_DIR, file.replace(/_\d+\.mid$/, '_prime.mid'));
+  const prime = fs.existsSync(primeFile) ? new Midi(fs.readFileSync(primeFile)) : null;
+  const primeDuration = prime ? prime.duration : 0;
+
+  const player = Object.create(MidiPlayer.prototype);
+  const notes = await player.readNotes(combined, prime || new Midi());
+  player._readHeader(combined);
+  const beats = PianoRoll.prototype._computeBeats.call(
+    { duration: combined.duration, bpm: player.bpm, beatsPerBar: player.beatsPerBar },
+    player.timing,
+  );
+  return { notes, beats, primeDuration, duration: combined.duration };
+}
+
+function measureStarts(score) {
+  let at = 0;
+  return score.measures.map(m => (at += m.slots) - m.slots);
+}
+
+// "slot:midi" for every note the score should write, in absolute slots
+function expectedOnsets(score, notes) {
+  const starts = measureStarts(score);
+  const onsets = new Set();
+  for (const note of notes) {
+    let on = scoreSlotAt(score, note.time);
+    if (on.slot >= score.measures[on.measure].slots) {
+      if (on.measure + 1 >= score.measures.length) continue;
+      on = { measure: on.measure + 1, slot: 0 };
+    }
+    onsets.add(`${starts[on.measure] + on.slot}:${note.midi}`);
+  }
+  return onsets;
+}
+
+function child(el, name) {
+  return el.getElementsByTagName(name)[0];
+}
+
+function readMusicXml(xml, score) {
+  const errors = [];
+  const doc = new DOMParser({ onError: (level, msg) => errors.push(msg) }).parseFromString(xml, 'text/xml');
+  assert.deepEqual(errors, [], 'MusicXML is well-formed');
+
+  const starts = measureStarts(score);
+  const onsets = new Set();
+  const openTies = new Map(); // "staff:midi" → tie starts waiting for their stop
+  let marks = 0;
+  const measures = doc.getElementsByTagName('measure');
+  assert.equal(measures.length, score.measures.length, 'one <measure> per bar');
+
+  for (let i = 0; i < measures.length; i++) {
+    const filled = [0, 0];
+    let pos = 0;
+    let chordPos = 0;
+    for (let el = measures[i].firstChild; el; el = el.nextSibling) {
+      if (el.nodeName === 'backup') pos -= Number(child(el, 'duration').textContent);
+      if (el.nodeName === 'direction' && child(el, 'rehearsal')) marks++;
+      if (el.nodeName !== 'note') continue;
+
+      const duration = Number(child(el, 'duration').textContent);
+      const staff = Number(child(el, 'staff').textContent) - 1;
+      const inChord = !!child(el, 'chord');
+      const pitch = child(el, 'pitch');
+      if (pitch) {
+        const alter = child(pitch, 'alter');
+        const midi = (Number(child(pitch, 'octave').textContent) + 1) * 12
+          + STEP_SEMITONES[child(pitch, 'step').textContent] + (alter ? Number(alter.textContent) : 0);
+        const ties = Array.from(el.getElementsByTagName('tie')).map(t => t.getAttribute('type'));
+        const key = `${staff}:${midi}`;
+        if (ties.includes('stop')) {
+          assert.ok(openTies.get(key) > 0, `bar ${i + 1}: tie stop on ${midi} follows a tie start`);
+          openTies.set(key, openTies.get(key) - 1);
+        } else {
+          onsets.add(`${starts[i] + (inChord ? chordPos : pos)}:${midi}`);
+        }
+        if (ties.includes('start')) openTies.set(key, (openTies.get(key) || 0) + 1);
+      }
+      if (!inChord) {
+        chordPos = pos;
+        pos += duration;
+        filled[staff] += duration;
+      }
+    }
+    assert.deepEqual(filled, [score.measures[i].slots, score.measures[i].slots], `bar ${i + 1} is full on both staves`);
+  }
+  assert.ok([...openTies.values()].every(n => n === 0), 'every tie start has its stop');
+  return { onsets, marks };
+}
+
+function readAbc(abc) {
+  const [tune] = abcjs.parseOnly(abc);
+  return { warnings: tune.warnings || [], marks: abc.split('[P:Continuation]').length - 1 };
+}
+
+const files = fs.readdirSync(GENS_DIR).filter(f => /_clean_\d+\.mid$/.test(f)).sort();
+
+test('public_gens has continuations to round-trip', () => {
+  assert.ok(files.length > 0);
+});
+
+for (const file of files) {
+  test(`round-trips ${file}`, async (t) => {
+    const piece = await loadPiece(file);
+    for (const slotsPerWhole of GRIDS) {
+      await t.test(`1/${slotsPerWhole} grid`, () => {
+        const score = buildScore(piece.notes, piece.beats, {
+          primeDuration: piece.primeDuration,
+          duration: piece.duration,
+          slotsPerWhole,
+        });
+        assert.ok(score.measures.length > 0, 'the score has bars');
+        const expected = expectedOnsets(score, piece.notes);
+        const marks = score.boundary ? 1 : 0;
+
+        const xml = readMusicXml(buildMusicXml(score, { title: file, composer: 'Continuo' }), score);
+        assert.deepEqual([...xml.onsets].sort(), [...expected].sort(), 'MusicXML onsets and pitches');
+        assert.equal(xml.marks, marks, 'MusicXML boundary rehearsal marks');
+
+        const abc = readAbc(buildAbc(score, { title: file }));
+        assert.deepEqual(abc.warnings, [], 'ABC parses cleanly');
+        assert.equal(abc.marks, marks, 'ABC boundary part marks');
+      });
+    }
+  });
+}
+
+test('a note held over a barline is tied into the next bar', () => {
+  // 4/4 at 120 bpm: half-second beats, a bar every 2 s
+  const beats = Array.from({ length: 8 }, (_, k) => ({ time: k * 0.5, isBar: k % 4 === 0, unit: 4 }));
+  const note = { midi: 72, time: 1.5, duration: 1, velocity: 0.8, source: 'original', trackIdx: 0 };
+  const score = buildScore([note], beats, { duration: 4 });
+  // Arrays from the scripts' context, copied so deepEqual sees plain ones
+  const [first, second] = Array.from(score.measures, m =>
+    Array.from(m.staves[0].filter(e => !e.rest), e => [e.slot, e.length, e.tie, e.tieStop]));
+
+  assert.deepEqual(first, [[12, 4, true, false]]);
+  assert.deepEqual(second, [[0, 4, false, true]]);
+  assert.match(buildAbc(score), /c4- \| c4/);
+});
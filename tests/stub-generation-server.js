@@ -0,0 +1,107 @@
+/* Stub generation server speaking the protocol in js/generation-client.js.
+   Each continuation is the prime plus a short rising run whose first
+   pitch comes from the sample's seed, so replies are valid and tell
+   apart. The query string picks the behaviour:
+     ?mode=json     plain JSON reply (default)
+     ?mode=ndjson   progress lines, then the continuations
+     ?mode=error    { "error": ... } with status 200
+     ?mode=status   HTTP 503 with { "error": ... }
+     ?mode=hang     one progress line, then nothing until the client gives up
+
+   node tests/stub-generation-server.js [port]   serves on 127.0.0.1:8765 by default */
+
+const http = require('http');
+const { Midi } = require('@tonejs/midi');
+
+const DEFAULT_PORT = 8765;
+const RUN_LENGTH = 4; // notes added after the prime
+const NDJSON_STEPS = [0.25, 0.5, 0.75, 1];
+
+function continuation(primeBytes, seed) {
+  const midi = new Midi(primeBytes);
+  const track = midi.tracks[0] || midi.addTrack();
+  const start = midi.duration;
+  for (let i = 0; i < RUN_LENGTH; i++) {
+    track.addNote({ midi: 48 + (seed % 24) + i * 2, time: start + i * 0.25, duration: 0.25, velocity: 0.7 });
+  }
+  return Buffer.from(midi.toArray()).toString('base64');
+}
+
+function generate(request) {
+  const prime = Buffer.from(request.prime, 'base64');
+  const first = Number.isInteger(request.seed) ? request.seed : Math.floor(Math.random() * 1e6);
+  const continuations = [];
+  for (let i = 0; i < request.num_samples; i++) {
+    continuations.push({ midi: continuation(prime, first + i), seed: first + i });
+  }
+  return { continuations };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// Resolves to { server, url, requests }; requests logs each parsed body with its
+// mode, and whether the client went away before the reply was finished
+function startStubServer({ port = 0, host = '127.0.0.1' } = {}) {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    // The app is usually served from another origin
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204).end();
+      return;
+    }
+    if (req.method !== 'POST') {
+      res.writeHead(405, { 'Content-Type': 'text/plain' }).end('POST a prime to generate');
+      return;
+    }
+
+    const mode = new URL(req.url, 'http://stub').searchParams.get('mode') || 'json';
+    let body;
+    try {
+      body = JSON.parse(await readBody(req));
+    } catch (err) {
+      res.writeHead(400, { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: 'Body is not JSON' }));
+      return;
+    }
+    const entry = { mode, body, aborted: false };
+    requests.push(entry);
+    res.on('close', () => { entry.aborted = !res.writableFinished; });
+
+    if (mode === 'status') {
+      res.writeHead(503, { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: 'All samplers are busy' }));
+    } else if (mode === 'error') {
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: 'The sampler ran out of memory' }));
+    } else if (mode === 'ndjson') {
+      res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+      for (const progress of NDJSON_STEPS) res.write(`${JSON.stringify({ progress })}\n`);
+      res.end(`${JSON.stringify(generate(body))}\n`);
+    } else if (mode === 'hang') {
+      res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+      res.write(`${JSON.stringify({ progress: 0.1 })}\n`);
+    } else {
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(generate(body)));
+    }
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, host, () => {
+      const address = server.address();
+      resolve({ server, url: `http://${host}:${address.port}/generate`, requests });
+    });
+  });
+}
+
+if (require.main === module) {
+  const port = Number(process.argv[2]) || DEFAULT_PORT;
+  startStubServer({ port }).then(({ url }) => console.log(`Stub generation server on ${url}`));
+}
+
+module.exports = { startStubServer, RUN_LENGTH, NDJSON_STEPS };